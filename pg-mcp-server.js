@@ -1,15 +1,321 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema, ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  ErrorCode,
+  McpError,
+  isInitializeRequest
+} from "@modelcontextprotocol/sdk/types.js";
 import pg from 'pg';
+import http from 'http';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { parseArgs } from 'util';
+import { appendFile, mkdir, readdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
 
-const CONNECTION_STRING = process.env.NEON_PG_CONNECTION_STRING;
-if (!CONNECTION_STRING) {
-  throw new Error('NEON_PG_CONNECTION_STRING environment variable is required');
+const MAX_ROWS = 100;
+const TRANSACTION_IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const POOL_SIZE = 10; // clients per connection pool
+// Transactions, and cursors opened outside one, each hold a pool client until they end. Together they
+// may take half the pool, so other calls (some run several queries at once) keep the rest.
+const MAX_PINNED_CLIENTS = POOL_SIZE / 2;
+const DRY_RUN_SAMPLE_ROWS = 10;
+const MAX_PAGE_SIZE = 1000;
+const CURSOR_IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const CONFIRM_TOKEN_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_OPEN_CURSORS = 3;
+const BYTEA_PREVIEW_BYTES = 64;
+const RESOURCE_PAGE_SIZE = 200;
+const PROMPT_CONTEXT_TABLES = 5; // table definitions rendered into one prompt
+const PROMPT_TABLE_LIST_LIMIT = 50;
+const EXPLAIN_TOP_NODES = 5;
+const EXPLAIN_LARGE_TABLE_ROWS = 10000; // sequential scans over more rows are flagged
+const EXPLAIN_MISESTIMATE_FACTOR = 10;
+const HTTP_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+const AUDIT_LOG_DEFAULT_LIMIT = 50;
+const MAX_AUDIT_LOG_LIMIT = 500;
+const ER_FORMATS = ['mermaid', 'dot'];
+const ER_COLUMN_MODES = ['all', 'keys', 'none'];
+const MAX_ER_TABLES = 100; // larger diagrams are unreadable
+const MAX_ER_DEPTH = 5;
+const JOIN_PATH_DEFAULT_JOINS = 4;
+const MAX_JOIN_PATH_JOINS = 6;
+const JOIN_PATH_DEFAULT_LIMIT = 3;
+const MAX_JOIN_PATH_LIMIT = 10;
+const MAX_JOIN_PATH_SEARCH = 10000; // partial paths kept per step before the search gives up
+const PROFILE_DEFAULT_SAMPLE_ROWS = 10000;
+const MAX_PROFILE_SAMPLE_ROWS = 100000;
+const PROFILE_DEFAULT_TOP_VALUES = 5;
+const MAX_PROFILE_TOP_VALUES = 20;
+const MAX_PROFILE_COLUMNS = 50;
+const PROFILE_HISTOGRAM_BOUNDS = 11; // deciles
+const PROFILE_VALUE_CHARS = 100;
+const PROFILE_STALE_FRACTION = 0.2; // share of rows changed since ANALYZE before pg_stats counts as stale
+const JSON_SCHEMA_FORMATS = ['paths', 'json_schema'];
+const JSON_DEFAULT_SAMPLE_ROWS = 500;
+const MAX_JSON_SAMPLE_ROWS = 5000;
+const JSON_MAX_DEPTH = 10;
+const JSON_MAX_KEYS = 100; // per object; more distinct keys usually mean an object used as a map
+const JSON_ARRAY_ITEMS = 100; // items merged per array value
+const JSON_EXAMPLES = 3;
+const MAX_JSON_PATHS = 200;
+const JSON_KEY_SAMPLE_ROWS = 200; // object values describe_table reads keys from
+const JSON_DESCRIBE_KEYS = 30;
+const SAVED_QUERY_TYPES = ['string', 'integer', 'number', 'boolean', 'array'];
+
+// Helper: Read a comma-separated list from the environment
+function envList(name, fallback = '', env = process.env) {
+  return (env[name] || fallback)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
 }
 
-const MAX_ROWS = 100;
-const QUERY_TIMEOUT = 30000;
+// Helper: Read a positive number of milliseconds from the environment
+function envMilliseconds(name, fallback, env = process.env) {
+  if (!env[name]) return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${env[name]}". Expected a positive number of milliseconds`);
+  }
+  return value;
+}
+
+// Helper: Read a positive row count from the environment; null when unset
+function envRowCount(name, env = process.env) {
+  if (!env[name]) return null;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${env[name]}". Expected a positive number of rows`);
+  }
+  return value;
+}
+
+// Statement timeouts: the default for every statement a tool runs, and the most timeout_ms may ask for
+const QUERY_TIMEOUT = envMilliseconds('NEON_PG_QUERY_TIMEOUT_MS', 30000);
+const MAX_QUERY_TIMEOUT = envMilliseconds('NEON_PG_MAX_QUERY_TIMEOUT_MS', Math.max(5 * 60 * 1000, QUERY_TIMEOUT));
+if (QUERY_TIMEOUT > MAX_QUERY_TIMEOUT) {
+  throw new Error(`NEON_PG_QUERY_TIMEOUT_MS (${QUERY_TIMEOUT}) exceeds NEON_PG_MAX_QUERY_TIMEOUT_MS (${MAX_QUERY_TIMEOUT})`);
+}
+
+// Write policy for the execute tool. null statements = any statement kind allowed.
+const DML_STATEMENTS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+const DDL_STATEMENTS = ['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'COMMENT'];
+const WRITE_POLICY_MODES = {
+  'read-only': [],
+  'dml': DML_STATEMENTS,
+  'ddl': [...DML_STATEMENTS, ...DDL_STATEMENTS],
+  'unrestricted': null
+};
+
+function loadWritePolicy(env = process.env) {
+  const mode = (env.NEON_PG_WRITE_POLICY || 'unrestricted').toLowerCase();
+  if (!(mode in WRITE_POLICY_MODES)) {
+    throw new Error(`Invalid NEON_PG_WRITE_POLICY "${mode}". Expected one of: ${Object.keys(WRITE_POLICY_MODES).join(', ')}`);
+  }
+
+  // An explicit allowlist replaces the mode's statement kinds; the denylist is applied on top
+  const allowed = envList('NEON_PG_ALLOW_STATEMENTS', '', env).map(k => k.toUpperCase());
+  const denied = envList('NEON_PG_DENY_STATEMENTS', '', env).map(k => k.toUpperCase());
+  let statements = allowed.length > 0 ? allowed : WRITE_POLICY_MODES[mode];
+  if (statements && denied.length > 0) statements = statements.filter(k => !denied.includes(k));
+
+  return {
+    mode: allowed.length > 0 ? 'custom' : mode,
+    statements,
+    deniedStatements: denied,
+    allowedTables: envList('NEON_PG_ALLOW_TABLES', '', env).map(parseTableRef),
+    deniedTables: envList('NEON_PG_DENY_TABLES', '', env).map(parseTableRef),
+    readOnly: statements !== null && statements.length === 0,
+    // Guardrails for execute: UPDATE/DELETE need a WHERE clause unless allow_full_table is passed;
+    // statements changing more than maxAffectedRows are rolled back, and more than confirmRows
+    // need a confirm_token from a preview
+    requireWhere: (env.NEON_PG_REQUIRE_WHERE || 'true').toLowerCase() !== 'false',
+    maxAffectedRows: envRowCount('NEON_PG_MAX_AFFECTED_ROWS', env),
+    confirmRows: envRowCount('NEON_PG_CONFIRM_ROWS', env)
+  };
+}
+
+// Transport selection: --transport stdio|http, with --host/--port (or NEON_PG_HTTP_HOST/NEON_PG_HTTP_PORT)
+// for the HTTP listener. The bearer token is only read from the environment so it never shows up in ps.
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function loadTransportConfig(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: 'string', default: process.env.NEON_PG_TRANSPORT || 'stdio' },
+      host: { type: 'string', default: process.env.NEON_PG_HTTP_HOST || '127.0.0.1' },
+      port: { type: 'string', default: process.env.NEON_PG_HTTP_PORT || '3000' }
+    }
+  });
+
+  const transport = values.transport.toLowerCase();
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Invalid transport "${values.transport}". Expected stdio or http`);
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port "${values.port}"`);
+  }
+
+  const authToken = process.env.NEON_PG_AUTH_TOKEN || null;
+  if (transport === 'http' && !authToken && !LOOPBACK_HOSTS.includes(values.host)) {
+    throw new Error(`NEON_PG_AUTH_TOKEN is required to listen on non-loopback address ${values.host}`);
+  }
+
+  return { transport, host: values.host, port, authToken };
+}
+
+// Audit log: statement-running tool calls are appended to a JSONL file (NEON_PG_AUDIT_LOG, "off" to
+// disable) that rotates by size. Parameters are redacted unless NEON_PG_AUDIT_PARAMS=full, or dropped
+// with omit; NEON_PG_AUDIT_REDACT_LITERALS=true also masks string and number literals in the SQL.
+const AUDIT_PARAM_MODES = ['redact', 'full', 'omit'];
+
+function loadAuditConfig(env = process.env) {
+  const file = env.NEON_PG_AUDIT_LOG || join(homedir(), '.neon-pg', 'audit.jsonl');
+  const params = (env.NEON_PG_AUDIT_PARAMS || 'redact').toLowerCase();
+  if (!AUDIT_PARAM_MODES.includes(params)) {
+    throw new Error(`Invalid NEON_PG_AUDIT_PARAMS "${params}". Expected one of: ${AUDIT_PARAM_MODES.join(', ')}`);
+  }
+  const maxBytes = Number(env.NEON_PG_AUDIT_MAX_BYTES || 10 * 1024 * 1024);
+  if (!Number.isInteger(maxBytes) || maxBytes < 1024) {
+    throw new Error(`Invalid NEON_PG_AUDIT_MAX_BYTES "${env.NEON_PG_AUDIT_MAX_BYTES}". Expected at least 1024`);
+  }
+  const maxFiles = Number(env.NEON_PG_AUDIT_MAX_FILES || 5);
+  if (!Number.isInteger(maxFiles) || maxFiles < 1) {
+    throw new Error(`Invalid NEON_PG_AUDIT_MAX_FILES "${env.NEON_PG_AUDIT_MAX_FILES}". Expected a positive integer`);
+  }
+
+  return {
+    path: file.toLowerCase() === 'off' ? null : resolve(file),
+    params,
+    redactLiterals: (env.NEON_PG_AUDIT_REDACT_LITERALS || '').toLowerCase() === 'true',
+    maxBytes,
+    maxFiles
+  };
+}
+
+// Redaction: result values matching a column rule are masked, hashed or dropped before they leave
+// the server. NEON_PG_REDACT_COLUMNS lists rules as pattern[:action]; a bare pattern matches column
+// names (and JSON object keys), table.column or schema.table.column a table's column, with * and ?
+// wildcards. NEON_PG_REDACT_VALUES turns on value detectors (email, card, jwt) that scan every string.
+// NEON_PG_REDACT=off disables both.
+const REDACTION_ACTIONS = ['mask', 'hash', 'drop', 'keep'];
+const DEFAULT_REDACT_COLUMNS = '*password*,*passwd*,*secret*,*token*,*api_key*,*apikey*';
+const PROCESS_HASH_KEY = randomBytes(32); // hashes are stable for the life of the process unless a key is set
+
+// Helper: A case-insensitive, anchored RegExp for a * and ? wildcard pattern
+function globPattern(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Helper: Split "pattern:action" into its parts, with the default action when none is given
+function redactionEntry(entry, variable, fallback) {
+  const colon = entry.lastIndexOf(':');
+  const [pattern, action] = colon === -1 ? [entry, fallback] : [entry.slice(0, colon), entry.slice(colon + 1).toLowerCase()];
+  if (!REDACTION_ACTIONS.includes(action)) {
+    throw new Error(`Invalid action "${action}" for "${pattern}" in ${variable}. Expected one of: ${REDACTION_ACTIONS.join(', ')}`);
+  }
+  return { rule: pattern, action };
+}
+
+function loadRedactionPolicy(env = process.env) {
+  const action = (env.NEON_PG_REDACT_ACTION || 'mask').toLowerCase();
+  if (!REDACTION_ACTIONS.includes(action) || action === 'keep') {
+    throw new Error(`Invalid NEON_PG_REDACT_ACTION "${action}". Expected one of: mask, hash, drop`);
+  }
+  if ((env.NEON_PG_REDACT || '').toLowerCase() === 'off') {
+    return { columns: [], values: [], hashKey: PROCESS_HASH_KEY };
+  }
+
+  // "none" leaves only the value detectors
+  const columnEntries = (env.NEON_PG_REDACT_COLUMNS || '').toLowerCase() === 'none' ? []
+    : envList('NEON_PG_REDACT_COLUMNS', DEFAULT_REDACT_COLUMNS, env);
+  const columns = columnEntries.map(entry => {
+    const rule = redactionEntry(entry, 'NEON_PG_REDACT_COLUMNS', action);
+    const parts = rule.rule.split('.');
+    if (parts.length > 3 || parts.some(part => part === '')) {
+      throw new Error(`Invalid rule "${rule.rule}" in NEON_PG_REDACT_COLUMNS. Expected column, table.column or schema.table.column`);
+    }
+    const [column, table, schema] = parts.reverse().map(globPattern);
+    return { ...rule, column, table: table ?? null, schema: schema ?? null };
+  });
+
+  const values = envList('NEON_PG_REDACT_VALUES', '', env).map(entry => {
+    const rule = redactionEntry(entry, 'NEON_PG_REDACT_VALUES', action);
+    rule.rule = rule.rule.toLowerCase();
+    if (!(rule.rule in REDACTION_DETECTORS)) {
+      throw new Error(`Unknown value detector "${rule.rule}" in NEON_PG_REDACT_VALUES. Expected one of: ${Object.keys(REDACTION_DETECTORS).join(', ')}`);
+    }
+    if (rule.action === 'keep') throw new Error(`Value detector "${rule.rule}" cannot use keep`);
+    return rule;
+  });
+
+  return { columns, values, hashKey: env.NEON_PG_REDACT_HASH_KEY || PROCESS_HASH_KEY };
+}
+
+// Helper: A connection's redaction rules as "pattern:action" strings
+function describeRedaction(policy) {
+  if (policy.columns.length === 0 && policy.values.length === 0) return 'off';
+  return {
+    columns: policy.columns.map(r => `${r.rule}:${r.action}`),
+    values: policy.values.map(r => `${r.rule}:${r.action}`)
+  };
+}
+
+// Value detectors: what they match, an optional check that weeds out false matches, and the masked form
+const REDACTION_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+    mask: match => `${match[0]}***${match.slice(match.indexOf('@'))}`
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: match => luhnValid(match.replace(/\D/g, '')),
+    mask: match => `****${match.replace(/\D/g, '').slice(-4)}`
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    mask: () => '[jwt]'
+  }
+};
+
+// Helper: Luhn checksum of a card number's digits
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Migrations: numbered SQL files in NEON_PG_MIGRATIONS_DIR, applied by migrate_up and recorded in
+// NEON_PG_MIGRATIONS_TABLE (default public.schema_migrations). Without a directory a connection has
+// no migrations.
+function loadMigrationConfig(env = process.env) {
+  if (!env.NEON_PG_MIGRATIONS_DIR) return null;
+  const parts = (env.NEON_PG_MIGRATIONS_TABLE || 'public.schema_migrations').toLowerCase().split('.');
+  if (parts.length > 2 || !parts.every(part => SAFE_IDENTIFIER.test(part))) {
+    throw new Error(`Invalid NEON_PG_MIGRATIONS_TABLE "${env.NEON_PG_MIGRATIONS_TABLE}". Expected table or schema.table`);
+  }
+  const [schema, table] = parts.length > 1 ? parts : ['public', parts[0]];
+  return { dir: resolve(env.NEON_PG_MIGRATIONS_DIR), table: { schema, table } };
+}
 
 // Helper: Calculate Levenshtein distance for fuzzy matching
 function levenshtein(a, b) {
@@ -44,368 +350,5962 @@ function assertSafeIdentifier(name, kind = 'identifier') {
   }
 }
 
-// Helper: Get all table names (cached for error suggestions)
-let cachedTables = null;
-let cachedColumns = null;
-let cacheTimestamp = 0;
+// Helper: Split a possibly schema-qualified, possibly quoted name into { schema, table }.
+// Unquoted parts are case-folded like PostgreSQL does.
+function parseTableRef(ref) {
+  const parts = ref.match(/"[^"]+"|[^.]+/g).map(p => p.startsWith('"') ? p.slice(1, -1) : p.toLowerCase());
+  return parts.length > 1 ? { schema: parts[0], table: parts[1] } : { schema: null, table: parts[0] };
+}
+
+// Helper: Schema-qualified display name
+function qualifiedName(schema, table) {
+  return `${schema}.${table}`;
+}
+
+// Helper: Quoted schema-qualified name for SQL interpolation (parts must pass assertSafeIdentifier)
+function sqlTableName(schema, table) {
+  return `"${schema}"."${table}"`;
+}
+
+// Helper: Schemas a tool should look at - the explicit schema argument or the search list
+function schemasFor(args) {
+  if (args.schema) {
+    assertSafeIdentifier(args.schema, 'schema name');
+    return [args.schema];
+  }
+  return searchSchemas();
+}
+
+// ── SQL classification ──
+// Tokenizes SQL well enough to route statements safely: comments, string/identifier/dollar
+// quoting and parenthesis depth are understood, so keywords inside them are never mistaken
+// for statement structure.
+
+const READ_ONLY_KINDS = ['SELECT', 'VALUES', 'TABLE', 'SHOW'];
+const LIMITABLE_KINDS = ['SELECT', 'VALUES', 'TABLE'];
+const MAIN_STATEMENT_KINDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'VALUES', 'TABLE'];
+
+// Helper: Split SQL into tokens { type, value, upper, start, end, depth }.
+// Comments are dropped; types are word, ident (quoted), string, param, number and punct.
+function tokenizeSql(sql) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+
+  const push = (type, start, end) => {
+    const value = sql.slice(start, end);
+    if (value === ')') depth = Math.max(0, depth - 1);
+    tokens.push({ type, value, upper: value.toUpperCase(), start, end, depth });
+    if (value === '(') depth++;
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (ch === '/' && next === '*') {
+      // Block comments nest in PostgreSQL
+      let level = 1;
+      i += 2;
+      while (i < sql.length && level > 0) {
+        if (sql.startsWith('/*', i)) { level++; i += 2; }
+        else if (sql.startsWith('*/', i)) { level--; i += 2; }
+        else i++;
+      }
+    } else if (ch === "'" || ((ch === 'E' || ch === 'e') && next === "'")) {
+      const start = i;
+      const backslashEscapes = ch !== "'";
+      i += backslashEscapes ? 2 : 1;
+      while (i < sql.length) {
+        if (backslashEscapes && sql[i] === '\\') { i += 2; continue; }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") { i += 2; continue; }
+          i++;
+          break;
+        }
+        i++;
+      }
+      push('string', start, i);
+    } else if (ch === '"') {
+      const start = i++;
+      while (i < sql.length) {
+        if (sql[i] === '"') {
+          if (sql[i + 1] === '"') { i += 2; continue; }
+          i++;
+          break;
+        }
+        i++;
+      }
+      push('ident', start, i);
+    } else if (ch === '$') {
+      const start = i;
+      const tag = sql.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        i = close === -1 ? sql.length : close + tag[0].length;
+        push('string', start, i);
+      } else {
+        i++;
+        while (i < sql.length && /[0-9]/.test(sql[i])) i++;
+        push('param', start, i);
+      }
+    } else if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+      const start = i;
+      while (i < sql.length && /[A-Za-z0-9_$\u0080-\uffff]/.test(sql[i])) i++;
+      push('word', start, i);
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+      const start = i;
+      while (i < sql.length && /[0-9.eE]/.test(sql[i])) i++;
+      push('number', start, i);
+    } else {
+      push('punct', i, i + 1);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+// Helper: Space-joined token text from an index, with qualified names kept together
+function tokenText(tokens, index) {
+  let text = '';
+  for (let i = index; i < tokens.length; i++) {
+    const glue = i > index && tokens[i].value !== '.' && tokens[i - 1].value !== '.' ? ' ' : '';
+    text += glue + tokens[i].value;
+  }
+  return text;
+}
+
+const isWord = (token, ...words) => token?.type === 'word' && words.includes(token.upper);
+
+// Helper: Classify the statement starting at tokens[start].
+// parts lists every (sub)statement that executes: the main statement plus data-modifying
+// CTEs and subqueries, each as { kind, index }.
+function classifyTokens(tokens, start = 0) {
+  while (tokens[start]?.value === '(') start++;
+  const first = tokens[start];
+
+  if (isWord(first, 'EXPLAIN')) {
+    let i = start + 1;
+    let analyze = false;
+    if (tokens[i]?.value === '(') {
+      const optionDepth = tokens[i].depth + 1;
+      for (i++; i < tokens.length && tokens[i].depth >= optionDepth; i++) {
+        if (tokens[i].depth === optionDepth && isWord(tokens[i], 'ANALYZE', 'ANALYSE')) {
+          analyze = !['FALSE', 'OFF', '0'].includes(tokens[i + 1]?.upper);
+        }
+      }
+      i++;
+    } else {
+      for (; isWord(tokens[i], 'ANALYZE', 'ANALYSE', 'VERBOSE'); i++) {
+        if (tokens[i].upper !== 'VERBOSE') analyze = true;
+      }
+    }
+    // EXPLAIN without ANALYZE only plans the statement; with ANALYZE it runs it
+    const explained = classifyTokens(tokens, i);
+    return {
+      kind: 'EXPLAIN',
+      explained,
+      analyze,
+      parts: analyze ? explained.parts : [],
+      readOnly: !analyze || explained.readOnly,
+      hasLimit: false,
+      limitable: false,
+      hasReturning: false
+    };
+  }
+
+  let kind = first?.type === 'word' ? first.upper : '';
+  let mainIndex = start;
+  const baseDepth = first?.depth ?? 0;
+
+  // WITH ... : the main statement is the first statement keyword after the CTE list
+  if (kind === 'WITH') {
+    mainIndex = tokens.findIndex((t, i) => i > start && t.depth === baseDepth && isWord(t, ...MAIN_STATEMENT_KINDS));
+    kind = mainIndex === -1 ? 'WITH' : tokens[mainIndex].upper;
+    if (mainIndex === -1) mainIndex = start;
+  }
+
+  const parts = [{ kind, index: mainIndex }];
+  tokens.forEach((t, i) => {
+    if (i > start && tokens[i - 1].value === '(' && isWord(t, ...DML_STATEMENTS)) {
+      parts.push({ kind: t.upper, index: i });
+    }
+  });
+
+  const topLevel = tokens.filter((t, i) => i > mainIndex && t.depth === baseDepth);
+  // SELECT ... INTO creates a table
+  if (kind === 'SELECT' && topLevel.some(t => isWord(t, 'INTO'))) {
+    parts.push({ kind: 'CREATE', index: mainIndex });
+  }
+
+  return {
+    kind,
+    parts,
+    readOnly: parts.every(p => READ_ONLY_KINDS.includes(p.kind)),
+    hasLimit: topLevel.some(t => isWord(t, 'LIMIT', 'FETCH')),
+    limitable: LIMITABLE_KINDS.includes(kind),
+    hasReturning: topLevel.some(t => isWord(t, 'RETURNING'))
+  };
+}
+
+// Classify SQL text into its statements. Each statement carries its own text (comments
+// and the trailing semicolon excluded), tokens and classification.
+function classifySql(sql) {
+  const tokens = tokenizeSql(sql);
+  const statements = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const first = current[0];
+    const last = current[current.length - 1];
+    const classification = classifyTokens(current);
+
+    // LIMIT goes before a top-level locking clause (FOR UPDATE/SHARE) if there is one
+    const lockIndex = current.findIndex((t, i) => t.depth === first.depth && isWord(t, 'FOR') &&
+      isWord(current[i + 1], 'UPDATE', 'SHARE', 'NO', 'KEY'));
+
+    statements.push({
+      ...classification,
+      text: sql.slice(first.start, last.end),
+      tokens: current,
+      limitOffset: (lockIndex === -1 ? last.end : current[lockIndex].start) - first.start,
+      schemaChanging: classification.parts.some(p => DDL_STATEMENTS.includes(p.kind))
+    });
+    current = [];
+  };
+
+  for (const token of tokens) {
+    if (token.value === ';' && token.depth === 0) flush();
+    else current.push(token);
+  }
+  flush();
+
+  return statements;
+}
+
+// Helper: Statement text with a row limit applied
+function withLimit(statement, limit) {
+  const head = statement.text.slice(0, statement.limitOffset).trimEnd();
+  const tail = statement.text.slice(statement.limitOffset);
+  return `${head} LIMIT ${limit}${tail ? ` ${tail}` : ''}`;
+}
+
+// Helper: Short description of what a statement does, e.g. "WITH ... DELETE"
+function describeStatement(statement) {
+  const kinds = [...new Set(statement.parts.map(p => p.kind))];
+  if (statement.kind === 'EXPLAIN') return statement.analyze ? `EXPLAIN ANALYZE ${kinds.join(', ')}` : 'EXPLAIN';
+  return kinds.join(', ') || 'empty statement';
+}
+
+// Helper: Tables written by one statement part. Returns null when they cannot be determined.
+const TABLE_REF = `(?:"[^"]+"|[a-z_][a-z0-9_$]*)(?:\\.(?:"[^"]+"|[a-z_][a-z0-9_$]*))?`;
+const TARGET_PATTERNS = [
+  new RegExp(`^insert\\s+into\\s+(${TABLE_REF})`, 'i'),
+  new RegExp(`^update\\s+(?:only\\s+)?(${TABLE_REF})`, 'i'),
+  new RegExp(`^delete\\s+from\\s+(?:only\\s+)?(${TABLE_REF})`, 'i'),
+  new RegExp(`^merge\\s+into\\s+(${TABLE_REF})`, 'i'),
+  new RegExp(`^truncate\\s+(?:table\\s+)?(?:only\\s+)?(${TABLE_REF}(?:\\s*,\\s*${TABLE_REF})*)`, 'i'),
+  new RegExp(`^(?:alter|drop)\\s+table\\s+(?:if\\s+exists\\s+)?(?:only\\s+)?(${TABLE_REF}(?:\\s*,\\s*${TABLE_REF})*)`, 'i'),
+  new RegExp(`^create\\s+(?:(?:global|local)\\s+)?(?:(?:temp|temporary|unlogged)\\s+)?table\\s+(?:if\\s+not\\s+exists\\s+)?(${TABLE_REF})`, 'i'),
+  new RegExp(`^create\\s+(?:unique\\s+)?index\\b[\\s\\S]*?\\bon\\s+(?:only\\s+)?(${TABLE_REF})`, 'i')
+];
+
+// Helper: Does a statement part create a table (rather than an index on one)?
+const CREATE_TABLE = /^create\s+(?:(?:global|local)\s+)?(?:(?:temp|temporary|unlogged)\s+)?table\b/i;
+
+function partTargets(statement, part) {
+  const text = tokenText(statement.tokens, part.index);
+  for (const pattern of TARGET_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[1].match(new RegExp(TABLE_REF, 'gi')).map(parseTableRef);
+    }
+  }
+  return null;
+}
+
+// Helper: Name to use in a RETURNING clause for a DML target - its alias if it has one
+const DML_ALIAS = new RegExp(`^(?:update\\s+(?:only\\s+)?|delete\\s+from\\s+(?:only\\s+)?|insert\\s+into\\s+)${TABLE_REF}\\s+(?:as\\s+)?(?!(?:set|using|where|returning|values|default|select|on|overriding)\\b)([a-z_][a-z0-9_]*)`, 'i');
+
+function returningRef(statement, target) {
+  const match = tokenText(statement.tokens, statement.parts[0].index).match(DML_ALIAS);
+  return match ? match[1] : `"${target.table}"`;
+}
+
+// Helper: Does a statement target match a policy table entry? Unqualified targets count as public;
+// write targets are resolved to their real schema first (see assertTablesAllowed).
+function tableRefMatches(target, entry) {
+  if (target.table !== entry.table) return false;
+  return !entry.schema || entry.schema === (target.schema || 'public');
+}
+
+function describeWritePolicy(policy = currentConnection().policy) {
+  const parts = [`mode ${policy.mode}`];
+  if (policy.statements) parts.push(`allowed statements: ${policy.statements.join(', ') || 'none'}`);
+  if (policy.deniedStatements.length > 0) parts.push(`denied statements: ${policy.deniedStatements.join(', ')}`);
+  const formatRefs = refs => refs.map(r => r.schema ? qualifiedName(r.schema, r.table) : r.table).join(', ');
+  if (policy.allowedTables.length > 0) parts.push(`allowed tables: ${formatRefs(policy.allowedTables)}`);
+  if (policy.deniedTables.length > 0) parts.push(`denied tables: ${formatRefs(policy.deniedTables)}`);
+  if (!policy.requireWhere) parts.push('UPDATE/DELETE without WHERE allowed');
+  if (policy.maxAffectedRows) parts.push(`at most ${policy.maxAffectedRows} rows changed per call`);
+  if (policy.confirmRows) parts.push(`confirm_token needed over ${policy.confirmRows} rows`);
+  return parts.join('; ');
+}
+
+// Helper: Reject statements the write policy does not permit, before they reach the pool.
+// Every executing part is checked, so data-modifying CTEs cannot hide behind a SELECT. Table rules
+// need the client the statements run on and are checked by assertTablesAllowed.
+function assertWriteAllowed(statements) {
+  for (const statement of statements) {
+    for (const part of statement.parts) {
+      if (!READ_ONLY_KINDS.includes(part.kind)) assertPartAllowed(statement, part);
+    }
+  }
+}
+
+function assertPartAllowed(statement, part) {
+  const kind = part.kind;
+  const policy = currentConnection().policy;
+  const statementAllowed = policy.statements ? policy.statements.includes(kind) : true;
+  if (!statementAllowed || policy.deniedStatements.includes(kind)) {
+    throw new McpError(ErrorCode.InvalidParams, `${kind || 'This'} statements are not permitted by the write policy (${describeWritePolicy()})`);
+  }
+}
+
+// Helper: Reject writes to tables the write policy's table rules do not permit. Bare table names are
+// resolved on the client that runs the statements, through its search_path, as Postgres will resolve
+// them. A name that matches no relation is refused unless batch (every statement of the call) creates
+// it, in which case it lands in the current schema.
+async function assertTablesAllowed(client, statements, batch = statements) {
+  const policy = currentConnection().policy;
+  if (policy.allowedTables.length === 0 && policy.deniedTables.length === 0) return;
+
+  // Once the batch changes search_path, bare names no longer resolve as they do now
+  const setsSearchPath = batch.some(s => s.tokens.some(t => /search_path/i.test(t.value)));
+  const created = new Set(batch.flatMap(s => s.parts
+    .filter(p => CREATE_TABLE.test(tokenText(s.tokens, p.index)))
+    .flatMap(p => (partTargets(s, p) || []).filter(t => !t.schema).map(t => t.table))));
+
+  for (const statement of statements) {
+    for (const part of statement.parts) {
+      if (READ_ONLY_KINDS.includes(part.kind)) continue;
+      const targets = partTargets(statement, part);
+      if (!targets) {
+        throw new McpError(ErrorCode.InvalidParams, `Could not determine the target table of this ${part.kind} statement, which the table rules of the write policy require (${describeWritePolicy()})`);
+      }
+      const createsTable = CREATE_TABLE.test(tokenText(statement.tokens, part.index));
+      for (const target of targets) {
+        const schema = target.schema || (setsSearchPath ? null : await targetSchema(client, target.table, createsTable, created));
+        if (!schema) {
+          throw new McpError(ErrorCode.InvalidParams,
+            `Could not resolve table "${target.table}" through the search_path${setsSearchPath ? ' of SQL that changes it' : ''}, which the table rules of the write policy require. Qualify it with its schema`);
+        }
+        const resolved = { schema, table: target.table };
+        const name = qualifiedName(schema, target.table);
+        if (policy.deniedTables.some(entry => tableRefMatches(resolved, entry))) {
+          throw new McpError(ErrorCode.InvalidParams, `Writes to table "${name}" are denied by the write policy`);
+        }
+        if (policy.allowedTables.length > 0 && !policy.allowedTables.some(entry => tableRefMatches(resolved, entry))) {
+          throw new McpError(ErrorCode.InvalidParams, `Table "${name}" is not in the write policy's allowed tables`);
+        }
+      }
+    }
+  }
+}
+
+// Helper: Schema a bare table name resolves to on client. CREATE TABLE puts the table in the current
+// schema; other statements need an existing relation, or one created in the same batch.
+async function targetSchema(client, table, createsTable, created) {
+  const { rows: [row] } = await client.query(`
+    SELECT
+      (SELECT n.nspname FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE c.oid = to_regclass(quote_ident($1))) AS schema,
+      current_schema() AS current_schema
+  `, [table]);
+  if (createsTable) return row.current_schema;
+  return row.schema || (created.has(table) ? row.current_schema : null);
+}
+
+// Helper: Does the UPDATE or DELETE at tokens[index] have a WHERE clause of its own (not one in a
+// subquery)
+function partHasWhere(tokens, index) {
+  const depth = tokens[index].depth;
+  for (let i = index + 1; i < tokens.length && tokens[i].depth >= depth; i++) {
+    if (tokens[i].depth === depth && isWord(tokens[i], 'WHERE')) return true;
+  }
+  return false;
+}
+
+// Helper: Reject UPDATE and DELETE statements, data-modifying CTEs included, that would change
+// every row of their table, unless the policy allows it or the call passes allow_full_table
+function assertWhereClauses(statements, args) {
+  if (!currentConnection().policy.requireWhere || args.allow_full_table === true) return;
+  for (const statement of statements) {
+    for (const part of statement.parts) {
+      if (!['UPDATE', 'DELETE'].includes(part.kind) || partHasWhere(statement.tokens, part.index)) continue;
+      const target = partTargets(statement, part)?.[0];
+      const name = target ? `"${target.schema ? qualifiedName(target.schema, target.table) : target.table}"` : 'its table';
+      throw new McpError(ErrorCode.InvalidParams,
+        `${part.kind} without a WHERE clause changes every row of ${name}. Add a WHERE clause, or pass allow_full_table: true if every row is meant (dry_run shows how many rows it would change)`);
+    }
+  }
+}
+
+// Helper: Get all table names (cached per connection for error suggestions)
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-function invalidateSchemaCache() {
-  cachedTables = null;
-  cachedColumns = null;
-  cacheTimestamp = 0;
+function invalidateSchemaCache(connection = currentConnection()) {
+  connection.schemaCache = null;
+  connection.typeCache.clear();
+  connection.columnDomains.clear();
+  connection.columnSources.clear();
 }
 
 async function getSchemaCache() {
-  if (!cachedTables || Date.now() - cacheTimestamp > CACHE_TTL) {
-    const tablesResult = await pool.query(`
-      SELECT table_name FROM information_schema.tables
-      WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+  const connection = currentConnection();
+  if (!connection.schemaCache || Date.now() - connection.schemaCache.timestamp > CACHE_TTL) {
+    const tablesResult = await connection.pool.query(`
+      SELECT table_schema, table_name FROM information_schema.tables
+      WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+        AND table_schema NOT LIKE 'pg_toast%'
+        AND table_type = 'BASE TABLE'
     `);
-    cachedTables = tablesResult.rows.map(r => r.table_name);
 
-    const columnsResult = await pool.query(`
-      SELECT table_name, column_name FROM information_schema.columns
-      WHERE table_schema = 'public'
+    const columnsResult = await connection.pool.query(`
+      SELECT table_schema, table_name, column_name FROM information_schema.columns
+      WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+        AND table_schema NOT LIKE 'pg_toast%'
     `);
-    cachedColumns = columnsResult.rows;
-    cacheTimestamp = Date.now();
+    connection.schemaCache = { tables: tablesResult.rows, columns: columnsResult.rows, timestamp: Date.now() };
+  }
+  return connection.schemaCache;
+}
+
+// Helper: Resolve a table argument to { schema, table }.
+// Accepts "schema.table", an explicit schema argument, or searches the connection's schemas in order.
+async function resolveTable(args) {
+  let schema = args.schema;
+  let table = args.table;
+
+  const dot = table.indexOf('.');
+  if (dot !== -1) {
+    schema = table.slice(0, dot);
+    table = table.slice(dot + 1);
+  }
+
+  assertSafeIdentifier(table, 'table name');
+
+  if (!schema) {
+    const { tables } = await getSchemaCache();
+    const schemas = searchSchemas();
+    schema = schemas.find(s => tables.some(t => t.table_schema === s && t.table_name === table)) || schemas[0];
+  }
+  assertSafeIdentifier(schema, 'schema name');
+
+  return { schema, table };
+}
+
+// Helper: Throw "not found" with suggestions unless the schema cache knows the table
+async function assertTableExists(ref, schema, table) {
+  const { tables } = await getSchemaCache();
+  if (!tables.some(t => t.table_schema === schema && t.table_name === table)) {
+    const suggestions = findSimilar(ref, tableCandidates(tables, ref));
+    throw new McpError(ErrorCode.InvalidParams,
+      `Table "${qualifiedName(schema, table)}" not found\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}`);
+  }
+}
+
+// Helper: Table names to suggest from, qualified when the bad name was qualified
+function tableCandidates(tables, badName) {
+  if (badName.includes('.')) {
+    return tables.map(t => qualifiedName(t.table_schema, t.table_name));
   }
-  return { tables: cachedTables, columns: cachedColumns };
+  const schemas = searchSchemas();
+  return [...new Set(tables.filter(t => schemas.includes(t.table_schema)).map(t => t.table_name))];
 }
 
 // Helper: Parse PostgreSQL error and add suggestions
 async function enhanceError(error, sql) {
+  noteAudit({ sqlstate: error.code });
   const msg = error.message || '';
   const { tables, columns } = await getSchemaCache();
 
+  // A guessed join usually fails on a column; point at the foreign keys instead
+  const joinHint = /\bjoin\b/i.test(sql) ? '\n\nUse find_join_path to get the JOIN clauses the foreign keys support' : '';
+
   // Column not found
   let match = msg.match(/column "([^"]+)" does not exist/i);
   if (match) {
     const badCol = match[1];
-    // Try to find the table from the SQL
-    const tableMatch = sql.match(/from\s+([a-z_][a-z0-9_]*)/i) || sql.match(/update\s+([a-z_][a-z0-9_]*)/i);
-    const tableName = tableMatch ? tableMatch[1] : null;
+    // Try to find the table (optionally schema-qualified) from the SQL
+    const tableMatch = sql.match(/from\s+(?:([a-z_][a-z0-9_]*)\.)?([a-z_][a-z0-9_]*)/i) ||
+      sql.match(/update\s+(?:([a-z_][a-z0-9_]*)\.)?([a-z_][a-z0-9_]*)/i);
+    const tableSchemas = tableMatch?.[1] ? [tableMatch[1]] : searchSchemas();
+    const tableName = tableMatch ? tableMatch[2] : null;
 
     let suggestions = [];
     if (tableName) {
-      const tableCols = columns.filter(c => c.table_name === tableName).map(c => c.column_name);
+      const tableCols = columns
+        .filter(c => c.table_name === tableName && tableSchemas.includes(c.table_schema))
+        .map(c => c.column_name);
       suggestions = findSimilar(badCol, tableCols);
-      return `Column "${badCol}" does not exist in table "${tableName}"\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar columns)'}\n\nAvailable columns in ${tableName}: ${tableCols.join(', ')}`;
+      return `Column "${badCol}" does not exist in table "${tableName}"\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar columns)'}\n\nAvailable columns in ${tableName}: ${tableCols.join(', ')}${joinHint}`;
     } else {
       // Search all columns
       const allCols = [...new Set(columns.map(c => c.column_name))];
       suggestions = findSimilar(badCol, allCols);
-      return `Column "${badCol}" does not exist\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar columns)'}`;
+      return `Column "${badCol}" does not exist\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar columns)'}${joinHint}`;
     }
   }
 
+  // Qualified column not found (column o.region_id does not exist)
+  if (/column \S+\.\S+ does not exist/i.test(msg)) return `${msg}${joinHint}`;
+
   // Table/relation not found
   match = msg.match(/relation "([^"]+)" does not exist/i);
   if (match) {
     const badTable = match[1];
-    const suggestions = findSimilar(badTable, tables);
-    return `Table "${badTable}" does not exist\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}\n\nAvailable tables: ${tables.slice(0, 20).join(', ')}${tables.length > 20 ? '...' : ''}`;
+    const candidates = tableCandidates(tables, badTable);
+    const suggestions = findSimilar(badTable, candidates);
+    return `Table "${badTable}" does not exist\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}\n\nAvailable tables: ${candidates.slice(0, 20).join(', ')}${candidates.length > 20 ? '...' : ''}`;
   }
 
   // Return original message if no enhancement
   return msg;
 }
 
-// Helper: Recursively extract JSONB structure with types
-function extractJsonStructure(obj, maxDepth = 5, currentDepth = 0) {
-  if (currentDepth >= maxDepth) return '...';
-  if (obj === null) return 'null';
-  if (Array.isArray(obj)) {
-    if (obj.length === 0) return '[]';
-    // Sample first element to show array item structure
-    const itemStructure = extractJsonStructure(obj[0], maxDepth, currentDepth + 1);
-    return [itemStructure];
+// ── Result formats ──
+// How each format renders values:
+//   json / json_compact / columns / ndjson: standard JSON (null, nested JSON kept as JSON)
+//   csv: RFC 4180 - fields with commas, quotes or newlines are double-quoted, NULL is an
+//        empty unquoted field (an empty string is ""), nested JSON is compact JSON text
+//   markdown: NULL is rendered as NULL, newlines as <br>, pipes escaped, nested JSON as compact JSON text
+const RESULT_FORMATS = ['json', 'json_compact', 'columns', 'csv', 'markdown', 'ndjson'];
+
+function assertFormat(format) {
+  if (format !== undefined && !RESULT_FORMATS.includes(format)) {
+    throw new McpError(ErrorCode.InvalidParams, `format must be one of: ${RESULT_FORMATS.join(', ')}`);
   }
-  if (typeof obj === 'object') {
-    const structure = {};
-    for (const [key, value] of Object.entries(obj)) {
-      structure[key] = extractJsonStructure(value, maxDepth, currentDepth + 1);
+}
+
+// Helper: A value as plain cell text; null stays null so each format can mark it
+function cellText(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toCsv(rows, columns) {
+  const field = value => {
+    const text = cellText(value);
+    if (text === null) return '';
+    return text === '' || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.map(field), ...rows.map(row => columns.map(c => field(row[c])))]
+    .map(cells => cells.join(','))
+    .join('\n');
+}
+
+function toMarkdown(rows, columns) {
+  if (columns.length === 0) return '(no columns)';
+  const cell = value => {
+    const text = cellText(value);
+    if (text === null) return 'NULL';
+    return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  };
+  return [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(c => cell(row[c])).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Helper: Build a tool result with the rows in response[rowsKey] rendered in the requested format.
+// Tabular formats return the rows as one text block and the remaining fields as compact JSON.
+function formatResult(response, { format = 'json', rowsKey = 'rows', columns } = {}) {
+  const rows = response[rowsKey];
+  const cols = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  let text;
+  switch (format) {
+    case 'json': text = JSON.stringify(response, null, 2); break;
+    case 'json_compact': text = JSON.stringify(response); break;
+    case 'columns': {
+      const columnar = Object.fromEntries(cols.map(c => [c, rows.map(row => row[c] ?? null)]));
+      text = JSON.stringify({ ...response, [rowsKey]: columnar });
+      break;
+    }
+    default: {
+      const { [rowsKey]: _rows, ...meta } = response;
+      const body = format === 'csv' ? toCsv(rows, cols)
+        : format === 'markdown' ? toMarkdown(rows, cols)
+        : rows.map(row => JSON.stringify(row)).join('\n');
+      return {
+        content: [
+          { type: "text", text: body },
+          { type: "text", text: JSON.stringify(meta) }
+        ]
+      };
     }
-    return structure;
   }
-  return typeof obj;
+
+  return {
+    content: [{
+      type: "text",
+      text
+    }]
+  };
 }
 
-const pool = new pg.Pool({
-  connectionString: CONNECTION_STRING,
-  ssl: { rejectUnauthorized: true },
-  max: 10,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000
-});
+// Helper: Column names in result order (duplicate names collapse, as they do in row objects)
+function fieldNames(fields) {
+  return [...new Set(fields.map(f => f.name))];
+}
 
-const server = new Server(
-  { name: "neon-pg", version: "1.7.0" },
-  { capabilities: { tools: {} } }
-);
+// ── Type registry ──
+// Result values are read as PostgreSQL's text output (RAW_TYPES) and converted per column type:
+//   bool, int2, int4, oid, float4, float8: JSON boolean/number (float NaN and ±Infinity as strings)
+//   int8, numeric: JSON number when the conversion is exact, otherwise the decimal string
+//   json, jsonb: parsed JSON
+//   timestamptz: ISO 8601 with the session's UTC offset, e.g. "2024-05-01T09:30:00.123456+02:00"
+//   timestamp: ISO 8601 without offset; date: "YYYY-MM-DD"; time, timetz: as PostgreSQL prints them
+//   interval: ISO 8601 duration, e.g. "P1Y2M3DT4H5M6.5S"
+//   bytea: { bytes, hex | base64, truncated } holding at most BYTEA_PREVIEW_BYTES bytes
+//   ranges: { lower, upper, lowerInclusive, upperInclusive } with bounds serialized as the
+//           subtype (null when unbounded), or { empty: true }
+//   arrays: JSON arrays (nested when multi-dimensional) of serialized elements
+//   point: { x, y }; circle: { x, y, radius }; line: { a, b, c } for ax + by + c = 0;
+//   lseg, box, polygon: { points: [{ x, y }, ...] }; path: { points, closed }
+//   domains: as their base type; enums and all other types: the text value
+// Values outside these shapes (infinite or BC timestamps, non-ISO DateStyle or IntervalStyle
+// output, escape-format bytea) are passed through as text.
+const BYTEA_ENCODING = process.env.NEON_PG_BYTEA_ENCODING || 'hex';
+if (!['hex', 'base64'].includes(BYTEA_ENCODING)) {
+  throw new Error(`Invalid NEON_PG_BYTEA_ENCODING "${BYTEA_ENCODING}". Expected one of: hex, base64`);
+}
 
-// Tool definitions - 7 tools
-const TOOLS = [
-  {
-    name: "query",
-    description: "Execute a SQL SELECT query and return the results",
-    inputSchema: {
-      type: "object",
-      properties: {
-        sql: { type: "string", description: "SQL SELECT query to execute" },
-        params: { type: "array", description: "Query parameters (optional)", items: { type: "string" } }
-      },
-      required: ["sql"]
-    }
-  },
-  {
-    name: "execute",
-    description: "Execute a SQL statement that modifies data (INSERT, UPDATE, DELETE)",
-    inputSchema: {
-      type: "object",
-      properties: {
-        sql: { type: "string", description: "SQL statement to execute" },
-        params: { type: "array", description: "Statement parameters (optional)", items: { type: "string" } }
-      },
-      required: ["sql"]
+// Query config `types` that leaves every value as text for serializeResult to convert
+const RAW_TYPES = { getTypeParser: () => value => value };
+
+const TYPE_KINDS = { b: 'base', c: 'composite', d: 'domain', e: 'enum', m: 'multirange', p: 'pseudo', r: 'range' };
+
+// Each connection's typeCache maps OID -> { name, typname, kind, delimiter, elem?, base?, subtype? },
+// filled on demand from pg_type. It is cleared with the schema cache so altered or recreated user
+// types are looked up again.
+
+// Helper: Make sure the given type OIDs, and the element/base/subtypes they refer to, are cached
+async function loadTypes(oids, client = currentPool()) {
+  const { typeCache } = currentConnection();
+  let missing = [...new Set(oids)].filter(oid => !typeCache.has(oid));
+  while (missing.length > 0) {
+    const result = await client.query(`
+      SELECT t.oid, format_type(t.oid, NULL) AS name, t.typname, t.typtype, t.typcategory,
+             t.typdelim, t.typelem, t.typbasetype, r.rngsubtype
+      FROM pg_type t
+      LEFT JOIN pg_range r ON r.rngtypid = t.oid
+      WHERE t.oid = ANY($1::oid[])
+    `, [missing]);
+
+    const related = [];
+    for (const row of result.rows) {
+      const isArray = row.typcategory === 'A' && row.typelem !== 0;
+      const type = { name: row.name, typname: row.typname, kind: isArray ? 'array' : TYPE_KINDS[row.typtype], delimiter: row.typdelim };
+      if (isArray) type.elem = row.typelem;
+      if (row.typtype === 'd') type.base = row.typbasetype;
+      if (row.rngsubtype) type.subtype = row.rngsubtype;
+      typeCache.set(row.oid, type);
+      related.push(type.elem, type.base, type.subtype);
     }
-  },
-  {
-    name: "get_tables",
-    description: "Get a list of tables in the database",
-    inputSchema: { type: "object", properties: {}, required: [] }
-  },
-  {
-    name: "get_schema",
-    description: "Get database schema - tables, columns, types, keys, and JSON structures. By default excludes backup/archive tables and limits to 50 tables ordered by size. Use this FIRST to avoid column/table name errors.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        tables: { type: "array", items: { type: "string" }, description: "Specific tables to include (overrides limit/offset)" },
-        limit: { type: "number", description: "Max tables to return (default 50, max 200)" },
-        offset: { type: "number", description: "Skip first N tables for pagination (default 0)" },
-        include_all: { type: "boolean", description: "Include backup/archive tables (default false)" }
-      }
+    // Types that no longer exist are remembered as unknown rather than queried again
+    for (const oid of missing) {
+      if (!typeCache.has(oid)) typeCache.set(oid, { name: 'unknown', typname: 'unknown', kind: 'base', delimiter: ',' });
     }
-  },
+    missing = [...new Set(related)].filter(oid => oid && !typeCache.has(oid));
+  }
+}
+
+// Each connection's columnDomains maps "tableID.columnID" -> domain OID, or null, for result columns
+// read straight from a table. The wire protocol reports domain-typed columns as their base type.
+async function loadColumnDomains(fields, client = currentPool()) {
+  const { columnDomains } = currentConnection();
+  const missing = fields.filter(f => f.tableID && !columnDomains.has(`${f.tableID}.${f.columnID}`));
+  if (missing.length === 0) return;
+
+  const result = await client.query(`
+    SELECT a.attrelid, a.attnum, a.atttypid
+    FROM unnest($1::oid[], $2::int2[]) AS c(relid, attnum)
+    JOIN pg_attribute a ON a.attrelid = c.relid AND a.attnum = c.attnum
+    JOIN pg_type t ON t.oid = a.atttypid AND t.typtype = 'd'
+  `, [missing.map(f => f.tableID), missing.map(f => f.columnID)]);
+  for (const f of missing) columnDomains.set(`${f.tableID}.${f.columnID}`, null);
+  for (const row of result.rows) columnDomains.set(`${row.attrelid}.${row.attnum}`, row.atttypid);
+}
+
+function fieldTypeOid(field) {
+  const { columnDomains } = currentConnection();
+  return (field.tableID && columnDomains.get(`${field.tableID}.${field.columnID}`)) || field.dataTypeID;
+}
+
+// Helper: A result field with its type name; non-base kinds (array, enum, domain, range...) are labelled
+function describeField(field) {
+  const { typeCache } = currentConnection();
+  const type = typeCache.get(fieldTypeOid(field));
+  const described = { name: field.name, type: type ? type.name : 'unknown', dataTypeID: field.dataTypeID };
+  if (type && type.kind !== 'base') described.kind = type.kind;
+  if (type?.kind === 'domain') described.baseType = typeCache.get(type.base)?.name;
+  return described;
+}
+
+// Helper: Convert and redact the rows of a RAW_TYPES query in place and return its described fields
+async function serializeResult(result, client = currentPool()) {
+  await loadColumnDomains(result.fields, client);
+  await loadTypes(result.fields.map(fieldTypeOid), client);
+  // Duplicate column names keep the last value, as in node-pg row objects
+  const typeByColumn = new Map(result.fields.map(f => [f.name, fieldTypeOid(f)]));
+  for (const row of result.rows) {
+    for (const [column, oid] of typeByColumn) {
+      row[column] = serializeValue(row[column], oid);
+    }
+  }
+  await redactResult(result, client);
+  return result.fields.map(describeField);
+}
+
+function serializeValue(text, oid) {
+  if (text === null || text === undefined) return null;
+  const { typeCache } = currentConnection();
+  const type = typeCache.get(oid);
+  if (!type) return text;
+
+  switch (type.kind) {
+    case 'domain': return serializeValue(text, type.base);
+    case 'array': {
+      const delimiter = typeCache.get(type.elem)?.delimiter || ',';
+      return parseArrayLiteral(text, element => serializeValue(element, type.elem), delimiter);
+    }
+    case 'range': return parseRangeLiteral(text, bound => serializeValue(bound, type.subtype));
+  }
+
+  switch (type.typname) {
+    case 'bool': return text === 't';
+    case 'int2':
+    case 'int4':
+    case 'oid': return Number(text);
+    case 'float4':
+    case 'float8': return Number.isFinite(Number(text)) ? Number(text) : text;
+    case 'int8':
+    case 'numeric': return exactNumber(text);
+    case 'json':
+    case 'jsonb': return JSON.parse(text);
+    case 'timestamp':
+    case 'timestamptz': return isoTimestamp(text);
+    case 'interval': return isoInterval(text);
+    case 'bytea': return byteaValue(text);
+    case 'point':
+    case 'line':
+    case 'lseg':
+    case 'box':
+    case 'path':
+    case 'polygon':
+    case 'circle': return geometricValue(type.typname, text);
+    default: return text;
+  }
+}
+
+// Helper: A JSON number when it holds the exact value (safe integers, up to 15 significant digits)
+function exactNumber(text) {
+  const value = Number(text);
+  if (/^-?\d+$/.test(text) && Number.isSafeInteger(value)) return value;
+  const significant = text.replace(/^-/, '').replace('.', '').replace(/^0+/, '').replace(/0+$/, '');
+  return Number.isFinite(value) && significant.length <= 15 ? value : text;
+}
+
+// Helper: "2024-05-01 09:30:00.5+02" -> "2024-05-01T09:30:00.5+02:00"
+function isoTimestamp(text) {
+  const match = text.match(/^(\d{4,}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?:([+-]\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return text;
+  const [, date, time, offsetHours, offsetMinutes = '00'] = match;
+  return `${date}T${time}${offsetHours ? `${offsetHours}:${offsetMinutes}` : ''}`;
+}
+
+// Helper: "1 year 2 mons -3 days +04:05:06.5" -> "P1Y2M-3DT4H5M6.5S"
+function isoInterval(text) {
+  const match = text.match(/^(?:(-?\d+) years? ?)?(?:(-?\d+) mons? ?)?(?:(-?\d+) days? ?)?(?:([+-]?)(\d+):(\d{2}):(\d{2}(?:\.\d+)?))?$/);
+  if (!match) return text;
+  const [, years, months, days, sign, hours, minutes, seconds] = match;
+  const part = (value, unit) => value !== undefined && Number(value) !== 0 ? `${Number(value)}${unit}` : '';
+
+  const datePart = part(years, 'Y') + part(months, 'M') + part(days, 'D');
+  const timePart = hours === undefined ? ''
+    : part(sign + hours, 'H') + part(sign + minutes, 'M') + part(sign + seconds, 'S');
+  if (!datePart && !timePart) return 'PT0S';
+  return `P${datePart}${timePart ? `T${timePart}` : ''}`;
+}
+
+function byteaValue(text) {
+  if (!text.startsWith('\\x')) return text;
+  const bytes = (text.length - 2) / 2;
+  const preview = Buffer.from(text.slice(2, 2 + BYTEA_PREVIEW_BYTES * 2), 'hex');
+  return { bytes, [BYTEA_ENCODING]: preview.toString(BYTEA_ENCODING), truncated: bytes > BYTEA_PREVIEW_BYTES };
+}
+
+// Helper: Parse an array literal such as {1,NULL,"a \"b\"",{2,3}}; elements go through parseElement
+function parseArrayLiteral(text, parseElement, delimiter = ',') {
+  let i = text.indexOf('{'); // skips a "[1:3]=" bounds prefix
+  if (i === -1) return text;
+
+  const parseLevel = () => {
+    const items = [];
+    i++;
+    if (text[i] === '}') {
+      i++;
+      return items;
+    }
+    while (i < text.length) {
+      if (text[i] === '{') {
+        items.push(parseLevel());
+      } else if (text[i] === '"') {
+        let value = '';
+        for (i++; i < text.length && text[i] !== '"'; i++) {
+          value += text[i] === '\\' ? text[++i] : text[i];
+        }
+        i++;
+        items.push(parseElement(value));
+      } else {
+        let end = i;
+        while (end < text.length && text[end] !== delimiter && text[end] !== '}') end++;
+        const raw = text.slice(i, end);
+        i = end;
+        items.push(raw === 'NULL' ? null : parseElement(raw));
+      }
+      if (text[i++] !== delimiter) break;
+    }
+    return items;
+  };
+  return parseLevel();
+}
+
+// Helper: Parse a range literal such as [1,10) or ("2024-01-01 00:00:00+00",)
+function parseRangeLiteral(text, parseBound) {
+  if (text === 'empty') return { empty: true };
+  const match = text.match(/^([[(])(.*)([\])])$/s);
+  if (!match) return text;
+
+  const bounds = [];
+  let current = '';
+  let quoted = false;
+  let wasQuoted = false;
+  const body = match[2];
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quoted) {
+      if (ch === '\\') current += body[++i];
+      else if (ch === '"' && body[i + 1] === '"') current += body[++i];
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = wasQuoted = true;
+    } else if (ch === ',') {
+      bounds.push(current === '' && !wasQuoted ? null : current);
+      current = '';
+      wasQuoted = false;
+    } else {
+      current += ch;
+    }
+  }
+  bounds.push(current === '' && !wasQuoted ? null : current);
+  if (bounds.length !== 2) return text;
+
+  const [lower, upper] = bounds.map(bound => bound === null ? null : parseBound(bound));
+  return { lower, upper, lowerInclusive: match[1] === '[', upperInclusive: match[3] === ']' };
+}
+
+function geometricValue(typname, text) {
+  if (/inf|nan/i.test(text)) return text;
+  const numbers = (text.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi) || []).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) points.push({ x: numbers[i], y: numbers[i + 1] });
+
+  switch (typname) {
+    case 'point': return points[0];
+    case 'circle': return { x: numbers[0], y: numbers[1], radius: numbers[2] };
+    case 'line': return { a: numbers[0], b: numbers[1], c: numbers[2] };
+    case 'path': return { points, closed: text.startsWith('(') };
+    default: return { points };
+  }
+}
+
+// Helper: JSON type of a parsed value, telling integers from other numbers
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Helper: Merge a parsed JSON value into the shape of the values seen so far: how often each type
+// occurs, object keys, array items and lengths, and a few example scalars. Nesting, keys per object
+// and items per array are bounded; shape.truncated marks where they cut.
+function mergeJsonShape(shape, value, depth = 0) {
+  shape ??= { count: 0, types: {} };
+  shape.count++;
+  const type = jsonType(value);
+  shape.types[type] = (shape.types[type] ?? 0) + 1;
+
+  if ((type === 'object' || type === 'array') && depth >= JSON_MAX_DEPTH) {
+    shape.truncated = true;
+  } else if (type === 'object') {
+    shape.properties ??= Object.create(null); // keys such as __proto__ stay plain keys
+    for (const [key, item] of Object.entries(value)) {
+      if (!Object.hasOwn(shape.properties, key) && Object.keys(shape.properties).length >= JSON_MAX_KEYS) {
+        shape.truncated = true;
+        continue;
+      }
+      shape.properties[key] = mergeJsonShape(shape.properties[key], item, depth + 1);
+    }
+  } else if (type === 'array') {
+    shape.minItems = Math.min(shape.minItems ?? Infinity, value.length);
+    shape.maxItems = Math.max(shape.maxItems ?? 0, value.length);
+    if (value.length > JSON_ARRAY_ITEMS) shape.truncated = true;
+    for (const item of value.slice(0, JSON_ARRAY_ITEMS)) shape.items = mergeJsonShape(shape.items, item, depth + 1);
+  } else if (type !== 'null') {
+    shape.examples ??= [];
+    if (shape.examples.length < JSON_EXAMPLES && !shape.examples.includes(value)) shape.examples.push(value);
+  }
+  return shape;
+}
+
+// Helper: A shape as a compact structure: objects map their keys, arrays hold their item structure,
+// anything else is its type names ("string|null"). Where objects or arrays are mixed with other
+// types, the object (else array) structure is shown.
+function shapeStructure(shape) {
+  if (shape.truncated && !shape.properties && !shape.items) return '...';
+  if (shape.properties) {
+    return Object.fromEntries(Object.entries(shape.properties).map(([key, child]) => [key, shapeStructure(child)]));
+  }
+  if (shape.types.array) return shape.items ? [shapeStructure(shape.items)] : '[]';
+  return Object.keys(shape.types).join('|');
+}
+
+// ── Redaction ──
+// serializeResult passes every result through redactResult, so query, cursor pages, dry runs,
+// sample_data and row resources all leave redacted. Tools that read values another way
+// (describe_table, profile_table, infer_json_schema) call redactValue themselves. Each request
+// collects the rules it applied; responses list them as "redacted".
+
+// Helper: Record that a rule changed values of an output column in the running request
+function noteRedaction({ rule, action }, column) {
+  const redactions = requestSession.getStore()?.redactions;
+  if (!redactions) return;
+  const key = `${rule}:${action}`;
+  if (!redactions.has(key)) redactions.set(key, { rule, action, columns: new Set() });
+  redactions.get(key).columns.add(column);
+}
+
+// Helper: The rules applied so far in the running request, or undefined when none were
+function appliedRedactions() {
+  const redactions = requestSession.getStore()?.redactions;
+  if (!redactions?.size) return undefined;
+  return [...redactions.values()].map(({ rule, action, columns }) => ({ rule, action, columns: [...columns].sort() }));
+}
+
+// Helper: Keyed hash of a value; equal values hash alike, so redacted columns can still be compared
+function redactionHash(text, policy) {
+  return `hash:${createHmac('sha256', policy.hashKey).update(text).digest('hex').slice(0, 12)}`;
+}
+
+// Helper: The rule for a column, given its output name and, when known, the table column it comes
+// from. Rules naming a table win over name patterns, so they can exempt a column with keep.
+function columnRule(name, source, policy = currentConnection().redaction) {
+  return policy.columns.find(r => r.table && source && r.table.test(source.table) &&
+      (!r.schema || r.schema.test(source.schema)) && r.column.test(source.column)) ??
+    policy.columns.find(r => !r.table && (r.column.test(name) || Boolean(source && r.column.test(source.column))));
+}
+
+// Helper: A value with detector matches in its strings replaced and JSON object keys matched by name
+// patterns redacted, at any depth. A string whose match is dropped becomes null.
+function redactDetected(value, column, policy) {
+  if (typeof value === 'string') {
+    let text = value;
+    for (const detector of policy.values) {
+      const { pattern, valid, mask } = REDACTION_DETECTORS[detector.rule];
+      let found = false;
+      text = text.replace(pattern, match => {
+        if (valid && !valid(match)) return match;
+        found = true;
+        return detector.action === 'hash' ? redactionHash(match, policy) : mask(match);
+      });
+      if (!found) continue;
+      noteRedaction(detector, column);
+      if (detector.action === 'drop') return null;
+    }
+    return text;
+  }
+  if (Array.isArray(value)) return value.map(item => redactDetected(item, column, policy));
+  if (value === null || typeof value !== 'object') return value;
+
+  const entries = [];
+  for (const [key, item] of Object.entries(value)) {
+    const rule = policy.columns.find(r => !r.table && r.column.test(key));
+    const redactedKey = redactDetected(key, column, policy);
+    const redactedItem = rule ? redactValue(item, rule, `${column}.${key}`, policy) : redactDetected(item, column, policy);
+    if (redactedKey !== null && redactedItem !== undefined) entries.push([redactedKey, redactedItem]);
+  }
+  return Object.fromEntries(entries);
+}
+
+// Helper: A column's value as it may leave the server: replaced by the column's rule if one matched
+// (undefined when dropped; NULL stays NULL), else passed through the detectors
+function redactValue(value, rule, column, policy = currentConnection().redaction) {
+  if (rule?.action === 'keep') return value;
+  if (!rule) return redactDetected(value, column, policy);
+  noteRedaction(rule, column);
+  if (rule.action === 'drop') return undefined;
+  if (value === null) return null;
+  return rule.action === 'hash' ? redactionHash(cellText(value), policy) : '[redacted]';
+}
+
+// Each connection's columnSources maps "tableID.columnID" -> { schema, table, column } for result
+// columns read straight from a table or view
+async function loadColumnSources(fields, client = currentPool()) {
+  const { columnSources } = currentConnection();
+  const missing = fields.filter(f => f.tableID && !columnSources.has(`${f.tableID}.${f.columnID}`));
+  if (missing.length === 0) return;
+
+  const result = await client.query(`
+    SELECT a.attrelid, a.attnum, n.nspname AS schema, c.relname AS table, a.attname AS column
+    FROM unnest($1::oid[], $2::int2[]) AS k(relid, attnum)
+    JOIN pg_attribute a ON a.attrelid = k.relid AND a.attnum = k.attnum
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+  `, [missing.map(f => f.tableID), missing.map(f => f.columnID)]);
+  for (const f of missing) columnSources.set(`${f.tableID}.${f.columnID}`, null);
+  for (const row of result.rows) {
+    columnSources.set(`${row.attrelid}.${row.attnum}`, { schema: row.schema, table: row.table, column: row.column });
+  }
+}
+
+// Helper: Redact the serialized rows of a result in place; dropped columns also leave result.fields
+async function redactResult(result, client = currentPool()) {
+  const policy = currentConnection().redaction;
+  if (policy.columns.length === 0 && policy.values.length === 0) return;
+  await loadColumnSources(result.fields, client);
+  const { columnSources } = currentConnection();
+
+  // Duplicate column names keep the last value, as in node-pg row objects
+  const rules = new Map(result.fields.map(f => [f.name, columnRule(f.name, f.tableID ? columnSources.get(`${f.tableID}.${f.columnID}`) : null, policy)]));
+  for (const row of result.rows) {
+    for (const [column, rule] of rules) {
+      const value = redactValue(row[column], rule, column, policy);
+      if (value === undefined) delete row[column];
+      else row[column] = value;
+    }
+  }
+  // A rule applies to its columns even when no rows came back
+  for (const [column, rule] of rules) {
+    if (rule && rule.action !== 'keep') noteRedaction(rule, column);
+  }
+  result.fields = result.fields.filter(f => rules.get(f.name)?.action !== 'drop');
+}
+
+// Helper: Run a tool, rethrowing its error with detector matches masked (hashed for hash rules)
+async function redactErrors(run) {
+  try {
+    return await run();
+  } catch (error) {
+    const policy = currentConnection().redaction;
+    const message = error instanceof McpError ? error.message.replace(/^MCP error -?\d+: /, '') : error.message;
+    if (policy.values.length === 0 || typeof message !== 'string') throw error;
+    const masked = { ...policy, values: policy.values.map(v => ({ ...v, action: v.action === 'hash' ? 'hash' : 'mask' })) };
+    const redacted = redactDetected(message, 'error', masked);
+    if (redacted === message) throw error;
+    if (error instanceof McpError) throw new McpError(error.code, redacted, error.data);
+    error.message = redacted;
+    throw error;
+  }
+}
+
+const TRANSPORT = loadTransportConfig();
+const AUDIT = loadAuditConfig();
+const SNAPSHOT_DIR = resolve(process.env.NEON_PG_SNAPSHOT_DIR || join(homedir(), '.neon-pg', 'snapshots'));
+const SAVED_QUERIES_FILE = resolve(process.env.NEON_PG_SAVED_QUERIES || join(homedir(), '.neon-pg', 'saved-queries.json'));
+
+// Recent query calls kept per session for list_saved_queries; 0 turns the history off
+const QUERY_HISTORY_SIZE = Number(process.env.NEON_PG_QUERY_HISTORY || 50);
+if (!Number.isInteger(QUERY_HISTORY_SIZE) || QUERY_HISTORY_SIZE < 0) {
+  throw new Error(`Invalid NEON_PG_QUERY_HISTORY "${process.env.NEON_PG_QUERY_HISTORY}". Expected a whole number of queries`);
+}
+
+// ── Connections ──
+// NEON_PG_CONNECTIONS lists named connections; the first is the default. Each reads
+// NEON_PG_<NAME>_CONNECTION_STRING and may override any other setting the same way
+// (NEON_PG_<NAME>_WRITE_POLICY, NEON_PG_<NAME>_SCHEMAS, ...), falling back to the unprefixed
+// variable. Without NEON_PG_CONNECTIONS, NEON_PG_CONNECTION_STRING is the only connection.
+const CONNECTION_NAME = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+// Helper: The environment as one connection sees it, with its NEON_PG_<NAME>_ overrides applied
+function connectionEnv(name) {
+  const prefix = `NEON_PG_${name.toUpperCase().replace(/-/g, '_')}_`;
+  const env = { ...process.env, NEON_PG_CONNECTION_STRING: undefined };
+  for (const [key, value] of Object.entries(process.env)) {
+    if (key.startsWith(prefix)) env[`NEON_PG_${key.slice(prefix.length)}`] = value;
+  }
+  return { env, prefix };
+}
+
+// Helper: Host, port, database and user of a connection string, without the password
+function describeTarget(connectionString) {
+  try {
+    const url = new URL(connectionString);
+    return {
+      host: url.hostname,
+      port: url.port ? Number(url.port) : 5432,
+      database: decodeURIComponent(url.pathname.slice(1)) || null,
+      user: decodeURIComponent(url.username) || null
+    };
+  } catch {
+    return {};
+  }
+}
+
+function createConnection(name, env) {
+  return {
+    name,
+    target: describeTarget(env.NEON_PG_CONNECTION_STRING),
+    pool: new pg.Pool({
+      connectionString: env.NEON_PG_CONNECTION_STRING,
+      ssl: { rejectUnauthorized: true },
+      max: POOL_SIZE,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000
+    }),
+    policy: loadWritePolicy(env),
+    redaction: loadRedactionPolicy(env),
+    migrations: loadMigrationConfig(env),
+    // Schemas searched (in order) when a tool is called without an explicit schema
+    schemas: envList('NEON_PG_SCHEMAS', 'public', env),
+    schemaCache: null,
+    typeCache: new Map(),
+    columnDomains: new Map(),
+    columnSources: new Map()
+  };
+}
+
+function loadConnections() {
+  const names = envList('NEON_PG_CONNECTIONS');
+  if (names.length === 0) {
+    if (!process.env.NEON_PG_CONNECTION_STRING) {
+      throw new Error('NEON_PG_CONNECTION_STRING environment variable is required');
+    }
+    return new Map([['default', createConnection('default', process.env)]]);
+  }
+
+  const connections = new Map();
+  const prefixes = new Set();
+  for (const name of names) {
+    if (!CONNECTION_NAME.test(name)) {
+      throw new Error(`Invalid connection name "${name}". Use letters, digits, _ and -`);
+    }
+    const { env, prefix } = connectionEnv(name);
+    if (prefixes.has(prefix)) throw new Error(`Connection "${name}" is listed twice in NEON_PG_CONNECTIONS`);
+    if (!env.NEON_PG_CONNECTION_STRING) throw new Error(`${prefix}CONNECTION_STRING is required for connection "${name}"`);
+    prefixes.add(prefix);
+    connections.set(name, createConnection(name, env));
+  }
+  return connections;
+}
+
+const CONNECTIONS = loadConnections();
+const DEFAULT_CONNECTION = CONNECTIONS.values().next().value;
+
+// Tool calls run with the connection they selected; everything else uses the default
+const requestConnection = new AsyncLocalStorage();
+
+function currentConnection() {
+  return requestConnection.getStore() ?? DEFAULT_CONNECTION;
+}
+
+function currentPool() {
+  return currentConnection().pool;
+}
+
+function searchSchemas() {
+  return currentConnection().schemas;
+}
+
+function getConnection(name) {
+  if (!name) return DEFAULT_CONNECTION;
+  const connection = CONNECTIONS.get(name);
+  if (!connection) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown connection "${name}". Available: ${[...CONNECTIONS.keys()].join(', ')}`);
+  }
+  return connection;
+}
+
+// Open transactions, keyed by handle. Each pins a dedicated pool client until commit/rollback.
+const transactions = new Map();
+
+// Open query cursors, keyed by id. Outside a transaction each pins its own client in a
+// READ ONLY transaction; inside one it shares the transaction's client.
+const cursors = new Map();
+
+// Pending confirmations for execute calls over the confirmRows guard, keyed by confirm_token. Each
+// is bound to its session, connection, SQL and parameters, and can be used once.
+const confirmations = new Map();
+
+// Recent query calls of each session, newest first, keyed by session. A repeated statement moves to
+// the top rather than taking another slot.
+const queryHistory = new Map();
+
+// Every request runs in the context of the MCP session it arrived on. stdio has a single implicit
+// session; over HTTP each client session only sees the transactions and cursors it opened.
+// The context also carries the request's AbortSignal, which fires on notifications/cancelled, and
+// the redaction rules applied while answering it.
+const STDIO_SESSION = 'stdio';
+const requestSession = new AsyncLocalStorage();
+
+function currentSession() {
+  return requestSession.getStore()?.id ?? STDIO_SESSION;
+}
+
+function currentSignal() {
+  return requestSession.getStore()?.signal;
+}
+
+// Helper: Run a request handler in the context of the session it arrived on
+function inSession(extra, handler) {
+  return requestSession.run({ id: extra.sessionId ?? STDIO_SESSION, signal: extra.signal, redactions: new Map() }, handler);
+}
+
+// Helper: Transactions or cursors opened by the current session
+function ownedBySession(handles) {
+  const session = currentSession();
+  return [...handles.values()].filter(handle => handle.session === session);
+}
+
+// Helper: Release everything a session left open when it ends
+async function closeSession(session) {
+  await Promise.allSettled([...cursors.values()].filter(c => c.session === session).map(cursor => closeCursor(cursor)));
+  await Promise.allSettled([...transactions.values()].filter(tx => tx.session === session).map(tx => endTransaction(tx, 'ROLLBACK')));
+  queryHistory.delete(session);
+}
+
+// ── Audit log ──
+// Each audited tool call is one JSON line: ts, session, connection, tool, sql, params, transaction,
+// table, durationMs, rowCount, error and sqlstate. Handlers add what only they know through noteAudit().
+// Appends are queued so rotation never races a write; a failed write is reported once and never
+// fails the tool call.
+const AUDITED_TOOLS = ['query', 'execute', 'explain_query', 'sample_data', 'profile_table', 'infer_json_schema', 'migrate_up', 'migrate_down', 'run_saved_query'];
+const requestAudit = new AsyncLocalStorage();
+let auditWrites = Promise.resolve();
+let auditBytes = null; // size of the current file, read on the first write
+let auditWarned = false;
+
+// Helper: Add details to the audit entry of the running tool call
+function noteAudit(details) {
+  const entry = requestAudit.getStore();
+  if (entry) Object.assign(entry, details);
+}
+
+// Helper: SQL as logged, with string and number literals replaced by ? when redactLiterals is set
+function auditSql(sql, config = AUDIT) {
+  if (!config.redactLiterals || typeof sql !== 'string') return sql;
+  let text = '';
+  let last = 0;
+  for (const token of tokenizeSql(sql)) {
+    if (token.type !== 'string' && token.type !== 'number') continue;
+    text += sql.slice(last, token.start) + '?';
+    last = token.end;
+  }
+  return text + sql.slice(last);
+}
+
+// Helper: Bound parameters as logged - redacted values keep their position, NULLs stay visible
+function auditParams(params, config = AUDIT) {
+  if (!Array.isArray(params) || params.length === 0 || config.params === 'omit') return undefined;
+  if (config.params === 'full') return params;
+  return params.map(value => value === null ? null : '[redacted]');
+}
+
+async function auditedCall(name, args) {
+  const entry = {
+    ts: new Date().toISOString(),
+    session: currentSession(),
+    connection: currentConnection().name,
+    tool: name,
+    sql: auditSql(args.sql),
+    params: auditParams(args.params),
+    transaction: args.transaction,
+    table: undefined,
+    dryRun: args.dry_run === true || undefined,
+    analyze: args.analyze === true || undefined,
+    durationMs: undefined,
+    rowCount: undefined,
+    error: undefined,
+    sqlstate: undefined
+  };
+  const started = performance.now();
+  try {
+    // Errors are redacted before they are logged, since get_audit_log returns them too
+    return await requestAudit.run(entry, () => redactErrors(() => runTool(name, args)));
+  } catch (error) {
+    entry.error = error.message.replace(/^MCP error -?\d+: /, '').split('\n')[0];
+    throw error;
+  } finally {
+    entry.durationMs = Math.round(performance.now() - started);
+    writeAuditEntry(entry);
+  }
+}
+
+function writeAuditEntry(entry, config = AUDIT) {
+  const line = JSON.stringify(entry) + '\n';
+  auditWrites = auditWrites
+    .then(() => appendAuditLine(line, config))
+    .catch(error => {
+      if (!auditWarned) console.error(`Audit log write to ${config.path} failed: ${error.message}`);
+      auditWarned = true;
+    });
+  return auditWrites;
+}
+
+async function appendAuditLine(line, config) {
+  if (auditBytes === null) {
+    await mkdir(dirname(config.path), { recursive: true, mode: 0o700 });
+    auditBytes = await stat(config.path).then(s => s.size, () => 0);
+  }
+  const bytes = Buffer.byteLength(line);
+  if (auditBytes > 0 && auditBytes + bytes > config.maxBytes) {
+    await rotateAuditLog(config);
+    auditBytes = 0;
+  }
+  await appendFile(config.path, line, { mode: 0o600 });
+  auditBytes += bytes;
+}
+
+// Helper: audit.jsonl -> audit.jsonl.1 -> ... -> audit.jsonl.<maxFiles>; the oldest file is dropped
+async function rotateAuditLog(config) {
+  for (let i = config.maxFiles - 1; i >= 1; i--) {
+    await rename(`${config.path}.${i}`, `${config.path}.${i + 1}`).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+  await rename(config.path, `${config.path}.1`);
+}
+
+// Helper: Matching audit entries, newest first, from the current file and then the rotated ones
+async function readAuditEntries(matches, limit, config = AUDIT) {
+  await auditWrites;
+  const entries = [];
+  for (let i = 0; i <= config.maxFiles && entries.length < limit; i++) {
+    let text;
+    try {
+      text = await readFile(i === 0 ? config.path : `${config.path}.${i}`, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    const lines = text.split('\n');
+    for (let j = lines.length - 1; j >= 0 && entries.length < limit; j--) {
+      if (!lines[j]) continue;
+      let entry;
+      try {
+        entry = JSON.parse(lines[j]);
+      } catch {
+        continue; // a line cut short by a crash
+      }
+      if (matches(entry)) entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+// Helper: Does an audit entry touch a table? Checks the sample_data table and the names in the SQL.
+function auditTouchesTable(entry, ref) {
+  if (entry.table && tableRefMatches(parseTableRef(entry.table), ref)) return true;
+  if (typeof entry.sql !== 'string' || !entry.sql.toLowerCase().includes(ref.table.toLowerCase())) return false;
+
+  const tokens = tokenizeSql(entry.sql);
+  const name = token => token?.type === 'ident' ? token.value.slice(1, -1).replace(/""/g, '"') : token?.value.toLowerCase();
+  return tokens.some((token, i) =>
+    ['word', 'ident'].includes(token.type) && name(token) === ref.table &&
+    (!ref.schema || (tokens[i - 1]?.value === '.' && name(tokens[i - 2]) === ref.schema)));
+}
+
+const EXPLAINABLE_STATEMENTS = ['SELECT', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+const TRANSACTION_CONTROL_STATEMENTS = ['BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'ABORT'];
+const ISOLATION_LEVELS = ['read committed', 'repeatable read', 'serializable'];
+
+function getTransaction(handle) {
+  const tx = transactions.get(handle);
+  if (!tx || tx.session !== currentSession()) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Transaction "${handle}" not found. It may have been committed, rolled back, or expired after ${TRANSACTION_IDLE_TIMEOUT / 1000}s idle.`);
+  }
+  return tx;
+}
+
+// Helper: Restart the idle timer; abandoned transactions are rolled back automatically
+function touchTransaction(tx) {
+  tx.lastUsedAt = Date.now();
+  clearTimeout(tx.timer);
+  tx.timer = setTimeout(() => {
+    console.error(`Transaction ${tx.id} idle for ${TRANSACTION_IDLE_TIMEOUT / 1000}s, rolling back`);
+    endTransaction(tx, 'ROLLBACK').catch(() => {});
+  }, TRANSACTION_IDLE_TIMEOUT);
+  tx.timer.unref();
+}
+
+// Helper: COMMIT or ROLLBACK a transaction and return its client to the pool
+async function endTransaction(tx, command) {
+  // Already ended, e.g. by its session closing while the server shuts down
+  if (!transactions.delete(tx.id)) return null;
+  clearTimeout(tx.timer);
+  // Cursors declared in the transaction end with it
+  for (const cursor of cursors.values()) {
+    if (cursor.transaction === tx.id) {
+      clearTimeout(cursor.timer);
+      cursors.delete(cursor.id);
+    }
+  }
+  try {
+    const result = await tx.client.query(command);
+    tx.client.release();
+    return result;
+  } catch (error) {
+    // Discard the connection rather than return it to the pool in an unknown state
+    tx.client.release(error);
+    throw error;
+  } finally {
+    if (tx.schemaChanged) invalidateSchemaCache(tx.connection);
+  }
+}
+
+// Helper: Pick what a statement runs on - a pinned transaction client or the pool
+function clientFor(args) {
+  if (!args.transaction) return currentPool();
+  const tx = getTransaction(args.transaction);
+  touchTransaction(tx);
+  tx.statements++;
+  return tx.client;
+}
+
+// Helper: Statement timeout for a call - timeout_ms, capped at the configured maximum
+function timeoutFor(args) {
+  const timeout = args.timeout_ms ?? QUERY_TIMEOUT;
+  if (!Number.isInteger(timeout) || timeout < 1) {
+    throw new McpError(ErrorCode.InvalidParams, "timeout_ms must be a positive whole number of milliseconds");
+  }
+  return Math.min(timeout, MAX_QUERY_TIMEOUT);
+}
+
+// Helper: Run a statement under a statement timeout. A pool gets a dedicated client whose session
+// timeout is reset before it is released; a client inside a transaction block uses SET LOCAL and
+// goes back to the session default afterwards, so later statements in the block are unaffected.
+// prepare, if given, is awaited first with the client the statement will run on.
+async function timedQuery(client, query, timeoutMs, prepare = null) {
+  try {
+    if (!(client instanceof pg.Pool)) {
+      if (prepare) await prepare(client);
+      await client.query(`SET LOCAL statement_timeout = ${timeoutMs}`);
+      const result = await cancellable(client, query);
+      await client.query('SET LOCAL statement_timeout TO DEFAULT');
+      return result;
+    }
+
+    const dedicated = await client.connect();
+    let resetError = null;
+    try {
+      if (prepare) await prepare(dedicated);
+      await dedicated.query(`SET statement_timeout = ${timeoutMs}`);
+      return await cancellable(dedicated, query);
+    } finally {
+      await dedicated.query('RESET statement_timeout').catch(error => { resetError = error; });
+      dedicated.release(resetError || undefined);
+    }
+  } catch (error) {
+    if (error.code === '57014' && /statement timeout/.test(error.message)) {
+      error.message = `Statement timed out after ${timeoutMs} ms. Narrow the query or pass a larger timeout_ms (max ${MAX_QUERY_TIMEOUT})`;
+    }
+    throw error;
+  }
+}
+
+// Helper: Run a query, cancelling its backend with pg_cancel_backend if the MCP request is cancelled
+async function cancellable(client, query) {
+  const signal = currentSignal();
+  if (!signal) return await client.query(query);
+  if (signal.aborted) throw new McpError(ErrorCode.InvalidRequest, "Request cancelled");
+
+  const pool = currentPool();
+  const cancel = () => {
+    pool.query('SELECT pg_cancel_backend($1)', [client.processID]).catch(error => {
+      console.error(`Cancelling backend ${client.processID} failed: ${error.message}`);
+    });
+  };
+  signal.addEventListener('abort', cancel, { once: true });
+  try {
+    return await client.query(query);
+  } finally {
+    signal.removeEventListener('abort', cancel);
+  }
+}
+
+// Helper: The connection a tool call runs on - the one its transaction or cursor was opened on,
+// otherwise the connection argument or the default
+function connectionForCall(args) {
+  const session = currentSession();
+  const handle = [transactions.get(args.transaction), cursors.get(args.cursor_id)]
+    .find(h => h && h.session === session);
+  if (!handle) return getConnection(args.connection);
+  if (args.connection && args.connection !== handle.connection.name) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `${handle.id} was opened on connection "${handle.connection.name}", not "${args.connection}"`);
+  }
+  return handle.connection;
+}
+
+// Helper: Transactions or cursors open on the current connection
+function openOnConnection(handles) {
+  const connection = currentConnection();
+  return [...handles.values()].filter(handle => handle.connection === connection).length;
+}
+
+// Helper: Handles holding a client of the current connection's pool: transactions, and cursors opened
+// outside one (a cursor inside a transaction shares its client)
+function pinningHandles() {
+  const connection = currentConnection();
+  return [...transactions.values(), ...[...cursors.values()].filter(cursor => !cursor.transaction)]
+    .filter(handle => handle.connection === connection);
+}
+
+function getCursor(id) {
+  const cursor = cursors.get(id);
+  if (!cursor || cursor.session !== currentSession()) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Cursor "${id}" not found. It may have been exhausted, closed, or expired after ${CURSOR_IDLE_TIMEOUT / 1000}s idle.`);
+  }
+  return cursor;
+}
+
+// Helper: Restart a cursor's idle timer; expired cursors are closed automatically
+function touchCursor(cursor) {
+  cursor.lastUsedAt = Date.now();
+  clearTimeout(cursor.timer);
+  cursor.timer = setTimeout(() => {
+    console.error(`Cursor ${cursor.id} idle for ${CURSOR_IDLE_TIMEOUT / 1000}s, closing`);
+    closeCursor(cursor).catch(() => {});
+  }, CURSOR_IDLE_TIMEOUT);
+  cursor.timer.unref();
+}
+
+// Helper: Close a cursor, ending its read-only transaction and releasing its client if it owns one
+async function closeCursor(cursor, error) {
+  if (!cursors.delete(cursor.id)) return;
+  clearTimeout(cursor.timer);
+
+  if (cursor.transaction) {
+    // The client belongs to the user's transaction; only the cursor goes away
+    if (!error && transactions.has(cursor.transaction)) {
+      await cursor.client.query(`CLOSE ${cursor.name}`).catch(() => {});
+    }
+    return;
+  }
+
+  try {
+    await cursor.client.query(error ? 'ROLLBACK' : 'COMMIT');
+    cursor.client.release();
+  } catch (cleanupError) {
+    cursor.client.release(cleanupError);
+  }
+}
+
+// Helper: Next page of a cursor. One extra row is read ahead so has_more is exact. The cursor's query
+// runs as rows are fetched, so inside a user's transaction each fetch is made read-only.
+async function readCursorPage(cursor, pageSize) {
+  touchCursor(cursor);
+  const want = pageSize + 1 - cursor.buffered.length;
+  const fetch = () => timedQuery(cursor.client, { text: `FETCH ${want} FROM ${cursor.name}`, types: RAW_TYPES }, cursor.timeoutMs);
+  const result = cursor.transaction ? await inReadOnlySavepoint(cursor.client, fetch) : await fetch();
+  const fields = await serializeResult(result, cursor.client);
+  if (!cursor.fields) cursor.fields = fields;
+
+  const rows = [...cursor.buffered, ...result.rows];
+  cursor.buffered = rows.slice(pageSize);
+  const page = rows.slice(0, pageSize);
+  const offset = cursor.fetched;
+  cursor.fetched += page.length;
+
+  return { rows: page, offset, hasMore: cursor.buffered.length > 0 };
+}
+
+function pageSizeFor(args) {
+  return Math.min(Math.max(1, args.page_size || MAX_ROWS), MAX_PAGE_SIZE);
+}
+
+// Helper: Run fn on a transaction's client with writes refused: inside a savepoint switched to
+// read-only, which is rolled back afterwards so the transaction keeps its own mode and whatever fn
+// did is undone. When fn fails the transaction is restored too; its error says so.
+async function inReadOnlySavepoint(client, fn) {
+  const restore = async () => {
+    await client.query('ROLLBACK TO SAVEPOINT neon_pg_read_only');
+    await client.query('RELEASE SAVEPOINT neon_pg_read_only');
+  };
+  await client.query('SAVEPOINT neon_pg_read_only');
+  let result;
+  try {
+    await client.query('SET LOCAL transaction_read_only = on');
+    result = await fn();
+  } catch (error) {
+    await restore();
+    error.rolledBackToSavepoint = true;
+    throw error;
+  }
+  await restore();
+  return result;
+}
+
+// Helper: Extra error context when a statement fails inside a transaction
+function transactionErrorNote(args) {
+  const tx = args.transaction && transactions.get(args.transaction);
+  if (!tx || tx.session !== currentSession()) return '';
+  tx.failed = true;
+  return `\n\nTransaction ${tx.id} is now aborted; call rollback to release it.`;
+}
+
+// Helper: The execute tool description, with the write policy of each connection that restricts writes
+function describeExecutePolicies() {
+  const restricted = [...CONNECTIONS.values()].filter(c => c.policy.statements || c.policy.maxAffectedRows || c.policy.confirmRows);
+  if (restricted.length === 0) return "Execute a SQL statement that modifies data (INSERT, UPDATE, DELETE)";
+  if (CONNECTIONS.size === 1) return `Execute a SQL statement that modifies data. Write policy: ${describeWritePolicy()}`;
+  return `Execute a SQL statement that modifies data. Write policies: ${restricted.map(c => `${c.name} (${describeWritePolicy(c.policy)})`).join('; ')}`;
+}
+
+// Tool definitions - 31 tools
+const TRANSACTION_PROPERTY = {
+  type: "string",
+  description: "Transaction handle from begin_transaction to run inside (optional)"
+};
+
+const TIMEOUT_PROPERTY = {
+  type: "number",
+  description: `Statement timeout in milliseconds (default ${QUERY_TIMEOUT}, max ${MAX_QUERY_TIMEOUT})`
+};
+
+const FORMAT_PROPERTY = {
+  type: "string",
+  enum: RESULT_FORMATS,
+  description: "Output format for rows: json (default), json_compact, columns (column-oriented JSON), csv, markdown or ndjson. Compact formats use far fewer tokens for wide results"
+};
+
+// Search schemas as shown in descriptions; they may differ between connections
+const SEARCH_SCHEMAS_LABEL = CONNECTIONS.size > 1 ? "the connection's search schemas" : DEFAULT_CONNECTION.schemas.join(', ');
+
+const SCHEMA_PROPERTY = {
+  type: "string",
+  description: `Schema to use (default: search ${SEARCH_SCHEMAS_LABEL}). Table names may also be written as schema.table`
+};
+
+const TOOLS = [
+  {
+    name: "query",
+    description: "Execute a SQL SELECT query and return the first page of results. When more rows remain, the response includes a cursor_id for fetch_more. Values of sensitive columns may be redacted; the response then lists the rules applied under redacted.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sql: { type: "string", description: "SQL SELECT query to execute" },
+        params: { type: "array", description: "Query parameters (optional)", items: { type: "string" } },
+        transaction: TRANSACTION_PROPERTY,
+        page_size: { type: "number", description: `Rows per page (default ${MAX_ROWS}, max ${MAX_PAGE_SIZE}). Larger results return a cursor_id for fetch_more` },
+        timeout_ms: { ...TIMEOUT_PROPERTY, description: `${TIMEOUT_PROPERTY.description}. Also applies to fetch_more on the returned cursor` },
+        format: FORMAT_PROPERTY
+      },
+      required: ["sql"]
+    }
+  },
+  {
+    name: "execute",
+    description: describeExecutePolicies(),
+    inputSchema: {
+      type: "object",
+      properties: {
+        sql: { type: "string", description: "SQL statement to execute" },
+        params: { type: "array", description: "Statement parameters (optional)", items: { type: "string" } },
+        transaction: TRANSACTION_PROPERTY,
+        dry_run: { type: "boolean", description: "Run in a transaction that is always rolled back; returns rowCount and a before→after sample of affected rows" },
+        allow_full_table: { type: "boolean", description: "Allow UPDATE or DELETE without a WHERE clause (default false)" },
+        confirm_token: { type: "string", description: "Token from a previous call (or dry run) of the same statement that changed more rows than the connection allows without confirmation" },
+        timeout_ms: TIMEOUT_PROPERTY
+      },
+      required: ["sql"]
+    }
+  },
+  {
+    name: "explain_query",
+    description: "Show how PostgreSQL executes a statement: total cost/time, the most expensive plan nodes, and warnings for large sequential scans, row misestimates, sorts spilling to disk, with candidate indexes for filtered columns.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        sql: { type: "string", description: "Statement to explain (without EXPLAIN)" },
+        params: { type: "array", description: "Query parameters (optional)", items: { type: "string" } },
+        transaction: TRANSACTION_PROPERTY,
+        analyze: { type: "boolean", description: "Run the statement for actual times and row counts (EXPLAIN ANALYZE). Always rolled back; writes must be allowed by the write policy" },
+        buffers: { type: "boolean", description: "With analyze, include buffer usage (EXPLAIN BUFFERS)" },
+        include_plan: { type: "boolean", description: "Include the full JSON plan tree (default false)" },
+        timeout_ms: TIMEOUT_PROPERTY
+      },
+      required: ["sql"]
+    }
+  },
+  {
+    name: "save_query",
+    description: "Save a read-only query under a name, with a description and a definition of each $n parameter, so later sessions can run it with run_saved_query instead of writing it again. Pass sql, or from_history with the id of a recent query from list_saved_queries",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Name to save it under: up to 64 letters, digits, _ and -, starting with a letter" },
+        description: { type: "string", description: "What the query answers" },
+        sql: { type: "string", description: "The query, with $1, $2, ... placeholders for its parameters" },
+        from_history: { type: "string", description: "Id of a history entry (hist_...) to save instead of sql" },
+        parameters: {
+          type: "array",
+          description: "One definition per placeholder, in order: $1 first. Default for from_history: p1, p2, ... typed from the values last used",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", description: "Argument name for run_saved_query" },
+              type: { type: "string", enum: SAVED_QUERY_TYPES, description: "Value type (default: string)" },
+              description: { type: "string" },
+              enum: { type: "array", description: "Allowed values" },
+              default: { description: "Value used when the argument is left out" },
+              required: { type: "boolean", description: "false lets the argument be left out, binding NULL (default: true)" }
+            },
+            required: ["name"]
+          }
+        },
+        replace: { type: "boolean", description: "Overwrite a saved query of the same name (default: false)" }
+      },
+      required: ["name", "description"]
+    }
+  },
+  {
+    name: "list_saved_queries",
+    description: "List saved queries with their descriptions, parameters and SQL, and this session's recent queries, newest first, which save_query can promote with from_history",
+    inputSchema: {
+      type: "object",
+      properties: {
+        search: { type: "string", description: "Only saved queries whose name or description, and history entries whose SQL, contain this text" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "run_saved_query",
+    description: "Run a saved query with named arguments, checked against its parameter definitions, and return results like the query tool",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Saved query to run" },
+        args: { type: "object", description: "Argument values by parameter name" },
+        transaction: TRANSACTION_PROPERTY,
+        page_size: { type: "number", description: `Rows per page (default ${MAX_ROWS}, max ${MAX_PAGE_SIZE}). Larger results return a cursor_id for fetch_more` },
+        timeout_ms: TIMEOUT_PROPERTY,
+        format: FORMAT_PROPERTY
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "get_tables",
+    description: "Get a list of tables in the database",
+    inputSchema: {
+      type: "object",
+      properties: {
+        schema: SCHEMA_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: "list_schemas",
+    description: "List schemas in the database with table/view counts and total size. Use to discover non-public schemas.",
+    inputSchema: { type: "object", properties: {}, required: [] }
+  },
+  {
+    name: "get_schema",
+    description: "Get database schema - tables, columns, types, keys, and JSON structures. By default excludes backup/archive tables and limits to 50 tables ordered by size. Use this FIRST to avoid column/table name errors.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        schema: SCHEMA_PROPERTY,
+        tables: { type: "array", items: { type: "string" }, description: "Specific tables to include, bare or schema.table (overrides limit/offset)" },
+        limit: { type: "number", description: "Max tables to return (default 50, max 200)" },
+        offset: { type: "number", description: "Skip first N tables for pagination (default 0)" },
+        include_all: { type: "boolean", description: "Include backup/archive tables (default false)" },
+        format: FORMAT_PROPERTY
+      }
+    }
+  },
+  {
+    name: "describe_table",
+    description: "Get structure information about a specific table",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: { type: "string", description: "Name of the table to describe" },
+        schema: SCHEMA_PROPERTY
+      },
+      required: ["table"]
+    }
+  },
+  {
+    name: "get_ddl",
+    description: "Reconstruct the CREATE statements for a table, view, sequence, function, enum or domain, or for every object in a schema, in dependency order. Tables include defaults, identity, constraints, indexes, triggers and comments.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        object: { type: "string", description: "Object name, optionally schema-qualified. Omit to generate the whole schema" },
+        schema: SCHEMA_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: "snapshot_schema",
+    description: "Save the structure of a schema (tables, columns, types, constraints, indexes, enums, domains, sequences, views and functions) as a named JSON snapshot on the server, for diff_schema to compare later",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Snapshot name: letters, digits, _, . and - (default: <connection>-<timestamp>). Existing snapshots are never overwritten" },
+        schema: SCHEMA_PROPERTY
+      },
+      required: []
+    }
+  },
+  {
+    name: "diff_schema",
+    description: "Compare two schema states and list added, removed and changed objects with a suggested migration script. Each side is a snapshot name, 'live' for the current database or 'live:<connection>' for another connection.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "Starting state: snapshot name, 'live' or 'live:<connection>'" },
+        to: { type: "string", description: "Target state the migration leads to (default: 'live')" },
+        schema: { type: "string", description: "Schema to read from live sources (default: the schemas of the compared snapshot, else the connection's search schemas)" }
+      },
+      required: ["from"]
+    }
+  },
+  {
+    name: "migrate_status",
+    description: "Show the versioned migrations of the migrations directory: which are applied and when, which are pending, and drift, where an applied file has changed or disappeared since it ran",
+    inputSchema: { type: "object", properties: {}, required: [] }
+  },
+  {
+    name: "migrate_up",
+    description: "Apply pending migrations in version order, each in its own transaction, and record them in the migrations table. Stops at the first failure, keeping the migrations applied before it. Refuses to run while migrate_status reports drift; statements must pass the write policy.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        steps: { type: "number", description: "Apply at most this many migrations (default: every pending one)" },
+        to: { type: "string", description: "Apply pending migrations up to and including this version" },
+        dry_run: { type: "boolean", description: "Run the migrations in one transaction and roll it back, to check that they apply (default: false)" },
+        timeout_ms: { ...TIMEOUT_PROPERTY, description: `Statement timeout per migration in milliseconds (default ${QUERY_TIMEOUT}, max ${MAX_QUERY_TIMEOUT})` }
+      },
+      required: []
+    }
+  },
+  {
+    name: "migrate_down",
+    description: "Revert the latest applied migrations with their .down.sql files, newest first, each in its own transaction. Refuses to run while migrate_status reports drift; statements must pass the write policy.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        steps: { type: "number", description: "Revert this many migrations (default 1)" },
+        to: { type: "string", description: "Revert every migration newer than this version instead; \"0\" reverts them all" },
+        dry_run: { type: "boolean", description: "Run the down migrations in one transaction and roll it back (default: false)" },
+        timeout_ms: { ...TIMEOUT_PROPERTY, description: `Statement timeout per migration in milliseconds (default ${QUERY_TIMEOUT}, max ${MAX_QUERY_TIMEOUT})` }
+      },
+      required: []
+    }
+  },
+  {
+    name: "create_migration",
+    description: "Create the up and down files of a new migration with the next version number. Write schema changes this way, then apply them with migrate_up, rather than running DDL through execute",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "What the migration does, e.g. 'add orders status index'; becomes part of the file name" },
+        up: { type: "string", description: "SQL that applies the change (default: a placeholder to fill in)" },
+        down: { type: "string", description: "SQL that reverts it (default: a placeholder to fill in)" }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "er_diagram",
+    description: "Draw the foreign key relationships of a schema, of chosen tables, or around a focus table as a Mermaid erDiagram or Graphviz DOT, with PK/FK markers and cardinality inferred from uniqueness and nullability",
+    inputSchema: {
+      type: "object",
+      properties: {
+        schema: SCHEMA_PROPERTY,
+        tables: { type: "array", items: { type: "string" }, description: "Tables to draw, bare or schema.table (default: every table in the schema)" },
+        focus: { type: "string", description: "Draw this table and the tables within depth foreign key hops of it" },
+        depth: { type: "number", description: `Hops around the focus table (default 1, max ${MAX_ER_DEPTH})` },
+        format: { type: "string", enum: ER_FORMATS, description: "Diagram language (default: mermaid)" },
+        columns: { type: "string", enum: ER_COLUMN_MODES, description: "Columns to show: all, only key columns, or none (default: all)" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "find_join_path",
+    description: "Find how two tables connect through foreign keys, followed in both directions and including composite keys. Returns ready-to-use FROM/JOIN clauses, shortest paths first, with a warning when several paths tie. Use before joining tables you have not joined yet.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "Table to start from, bare or schema.table" },
+        to: { type: "string", description: "Table to reach, bare or schema.table" },
+        schema: SCHEMA_PROPERTY,
+        max_joins: { type: "number", description: `Longest path to consider, in joins (default ${JOIN_PATH_DEFAULT_JOINS}, max ${MAX_JOIN_PATH_JOINS})` },
+        limit: { type: "number", description: `Paths to return (default ${JOIN_PATH_DEFAULT_LIMIT}, max ${MAX_JOIN_PATH_LIMIT})` }
+      },
+      required: ["from", "to"]
+    }
+  },
+  {
+    name: "sample_data",
+    description: "Get sample rows from a table to see actual data format, JSON structures, and real values. Use the query tool for filtered results.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: { type: "string", description: "Table name to sample from" },
+        schema: SCHEMA_PROPERTY,
+        limit: { type: "number", description: "Number of rows to return (default 3, max 10)" },
+        format: FORMAT_PROPERTY
+      },
+      required: ["table"]
+    }
+  },
+  {
+    name: "profile_table",
+    description: "Profile how a table's column values are distributed: null fraction, distinct count, most common values, histogram bounds, width, and min/max/average of numbers and dates. Uses pg_stats for analyzed columns and a bounded sample otherwise. Far more informative than sample_data for understanding data before writing a query.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: { type: "string", description: "Table to profile" },
+        schema: SCHEMA_PROPERTY,
+        columns: { type: "array", items: { type: "string" }, description: `Columns to profile (default: all, up to ${MAX_PROFILE_COLUMNS})` },
+        sample_rows: { type: "number", description: `Most rows to sample (default ${PROFILE_DEFAULT_SAMPLE_ROWS}, max ${MAX_PROFILE_SAMPLE_ROWS})` },
+        top_values: { type: "number", description: `Most common values to list per column (default ${PROFILE_DEFAULT_TOP_VALUES}, max ${MAX_PROFILE_TOP_VALUES})` },
+        sample_only: { type: "boolean", description: "Ignore pg_stats and profile every column from the sample, e.g. when statistics are stale (default: false)" },
+        timeout_ms: TIMEOUT_PROPERTY
+      },
+      required: ["table"]
+    }
+  },
+  {
+    name: "infer_json_schema",
+    description: "Infer the structure of a json or jsonb column from many rows: every path with how often it is present, the types seen there, example values and array lengths, or a JSON Schema. Use before querying JSON fields you have not seen.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        table: { type: "string", description: "Table holding the column" },
+        column: { type: "string", description: "json or jsonb column" },
+        schema: SCHEMA_PROPERTY,
+        sample_rows: { type: "number", description: `Most non-null values to sample (default ${JSON_DEFAULT_SAMPLE_ROWS}, max ${MAX_JSON_SAMPLE_ROWS})` },
+        format: { type: "string", enum: JSON_SCHEMA_FORMATS, description: "paths (default): one entry per jsonpath; json_schema: a JSON Schema (2020-12) document" },
+        timeout_ms: TIMEOUT_PROPERTY
+      },
+      required: ["table", "column"]
+    }
+  },
+  {
+    name: "search_schema",
+    description: "Search for tables and columns by name pattern. Use when you know the concept but not exact name.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        pattern: { type: "string", description: "Search pattern (case-insensitive, searches table and column names)" },
+        schema: SCHEMA_PROPERTY
+      },
+      required: ["pattern"]
+    }
+  },
+  {
+    name: "begin_transaction",
+    description: `Start a transaction on a dedicated connection and return its handle. Pass the handle as 'transaction' to query/execute, then call commit or rollback. Transactions idle for ${TRANSACTION_IDLE_TIMEOUT / 60000} minutes are rolled back automatically.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        read_only: { type: "boolean", description: "Start a READ ONLY transaction (always on when the server is read-only)" },
+        isolation_level: { type: "string", enum: ISOLATION_LEVELS, description: "Isolation level (default read committed)" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "commit",
+    description: "Commit a transaction started with begin_transaction",
+    inputSchema: {
+      type: "object",
+      properties: {
+        transaction: { type: "string", description: "Transaction handle to commit" }
+      },
+      required: ["transaction"]
+    }
+  },
+  {
+    name: "rollback",
+    description: "Roll back a transaction started with begin_transaction",
+    inputSchema: {
+      type: "object",
+      properties: {
+        transaction: { type: "string", description: "Transaction handle to roll back" }
+      },
+      required: ["transaction"]
+    }
+  },
+  {
+    name: "fetch_more",
+    description: "Fetch the next page of rows from a query cursor. The cursor closes automatically once exhausted.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cursor_id: { type: "string", description: "cursor_id returned by query" },
+        page_size: { type: "number", description: `Rows to fetch (default ${MAX_ROWS}, max ${MAX_PAGE_SIZE})` },
+        format: { ...FORMAT_PROPERTY, description: "Output format (default: the format the cursor's query used)" }
+      },
+      required: ["cursor_id"]
+    }
+  },
+  {
+    name: "close_cursor",
+    description: `Close a query cursor you no longer need. Cursors idle for ${CURSOR_IDLE_TIMEOUT / 60000} minutes are closed automatically; at most ${MAX_OPEN_CURSORS} may be open.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        cursor_id: { type: "string", description: "cursor_id to close" }
+      },
+      required: ["cursor_id"]
+    }
+  },
+  {
+    name: "get_status",
+    description: "Show server status: open transactions and cursors, connection pool usage and the active write policy",
+    inputSchema: { type: "object", properties: {}, required: [] }
+  },
+  {
+    name: "list_connections",
+    description: "List the configured database connections with their host, database, write policy and search schemas. Pass a name as 'connection' to any tool to run against it.",
+    inputSchema: { type: "object", properties: {}, required: [] }
+  },
+  {
+    name: "get_audit_log",
+    description: `Search the audit log of ${AUDITED_TOOLS.join(', ')} calls, newest first: SQL, parameters, duration, row count and errors, across all sessions and connections`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        tool: { type: "string", enum: AUDITED_TOOLS, description: "Only calls of this tool" },
+        table: { type: "string", description: "Only statements naming this table (e.g. 'orders' or 'billing.invoices')" },
+        errors_only: { type: "boolean", description: "Only calls that failed (default: false)" },
+        error: { type: "string", description: "Only failed calls whose SQLSTATE or message matches, e.g. '23505' or 'does not exist'" },
+        connection: { type: "string", description: "Only calls on this connection" },
+        limit: { type: "number", description: `Entries to return (default: ${AUDIT_LOG_DEFAULT_LIMIT}, max: ${MAX_AUDIT_LOG_LIMIT})` }
+      },
+      required: []
+    }
+  }
+];
+
+// With several connections every tool takes an optional connection argument; list_connections and
+// get_audit_log span them all
+const CONNECTION_PROPERTY = {
+  type: "string",
+  enum: [...CONNECTIONS.keys()],
+  description: `Connection to use (default: ${DEFAULT_CONNECTION.name}). Transaction and cursor handles always use the connection they were opened on`
+};
+
+function withConnectionProperty(tool) {
+  if (CONNECTIONS.size === 1 || ["list_connections", "get_audit_log"].includes(tool.name)) return tool;
+  return { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, connection: CONNECTION_PROPERTY } } };
+}
+
+// Tools hidden by configuration: execute, migrate_up and migrate_down disappear when every connection
+// is read-only, the migration tools when no connection has a migrations directory, get_audit_log when
+// the audit log is off
+const MIGRATION_TOOLS = ["migrate_status", "migrate_up", "migrate_down", "create_migration"];
+const ENABLED_TOOLS = TOOLS
+  .filter(tool => !(tool.name === "execute" && [...CONNECTIONS.values()].every(c => c.policy.readOnly)))
+  .filter(tool => !(["migrate_up", "migrate_down"].includes(tool.name) && [...CONNECTIONS.values()].every(c => c.policy.readOnly)))
+  .filter(tool => !(MIGRATION_TOOLS.includes(tool.name) && [...CONNECTIONS.values()].every(c => !c.migrations)))
+  .filter(tool => !(tool.name === "get_audit_log" && !AUDIT.path))
+  .map(withConnectionProperty);
+
+async function callTool({ name, arguments: args = {} }) {
+  if (!ENABLED_TOOLS.some(tool => tool.name === name)) {
+    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  }
+
+  const run = AUDIT.path && AUDITED_TOOLS.includes(name) ? () => auditedCall(name, args) : () => redactErrors(() => runTool(name, args));
+  return await requestConnection.run(connectionForCall(args), run);
+}
+
+async function runTool(name, args) {
+  switch (name) {
+    case "query": return rememberQuery(args, await handleQuery(args));
+    case "execute": return await handleExecute(args);
+    case "explain_query": return await handleExplainQuery(args);
+    case "save_query": return await handleSaveQuery(args);
+    case "list_saved_queries": return await handleListSavedQueries(args);
+    case "run_saved_query": return await handleRunSavedQuery(args);
+    case "get_tables": return await handleGetTables(args);
+    case "list_schemas": return await handleListSchemas();
+    case "get_schema": return await handleGetSchema(args);
+    case "describe_table": return await handleDescribeTable(args);
+    case "get_ddl": return await handleGetDdl(args);
+    case "snapshot_schema": return await handleSnapshotSchema(args);
+    case "diff_schema": return await handleDiffSchema(args);
+    case "migrate_status": return await handleMigrateStatus();
+    case "migrate_up": return await handleMigrateUp(args);
+    case "migrate_down": return await handleMigrateDown(args);
+    case "create_migration": return await handleCreateMigration(args);
+    case "er_diagram": return await handleErDiagram(args);
+    case "find_join_path": return await handleFindJoinPath(args);
+    case "sample_data": return await handleSampleData(args);
+    case "profile_table": return await handleProfileTable(args);
+    case "infer_json_schema": return await handleInferJsonSchema(args);
+    case "search_schema": return await handleSearchSchema(args);
+    case "begin_transaction": return await handleBeginTransaction(args);
+    case "commit": return await handleEndTransaction(args, 'COMMIT');
+    case "rollback": return await handleEndTransaction(args, 'ROLLBACK');
+    case "fetch_more": return await handleFetchMore(args);
+    case "close_cursor": return await handleCloseCursor(args);
+    case "get_status": return await handleGetStatus();
+    case "list_connections": return await handleListConnections();
+    case "get_audit_log": return await handleGetAuditLog(args);
+    default: throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  }
+}
+
+// ── Resources ──
+// Tables and views are listed as postgres://<schema>/<table>/schema, which reads as describe_table JSON.
+// Rows are read through the postgres://<schema>/<table>/rows/<key> template, where <key> holds the
+// percent-encoded primary key values, comma-separated in key order.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "postgres://{schema}/{table}/schema",
+    name: "Table definition",
+    description: "Columns, keys, indexes, enums and JSONB keys of a table or view",
+    mimeType: "application/json"
+  },
+  {
+    uriTemplate: "postgres://{schema}/{table}/rows/{key}",
+    name: "Row by primary key",
+    description: "One row looked up by primary key. Composite keys are comma-separated values in key order",
+    mimeType: "application/json"
+  }
+];
+
+function tableResourceUri(schema, table) {
+  return `postgres://${encodeURIComponent(schema)}/${encodeURIComponent(table)}/schema`;
+}
+
+// ── Prompts ──
+// Prompt templates rendered with live schema context, so the conversation starts from the real
+// table definitions, foreign keys and enums
+const PROMPTS = [
   {
-    name: "describe_table",
-    description: "Get structure information about a specific table",
-    inputSchema: {
-      type: "object",
-      properties: {
-        table: { type: "string", description: "Name of the table to describe" }
-      },
-      required: ["table"]
+    name: "explore_database",
+    description: "Get oriented in the database: largest tables, how they relate, and enums",
+    arguments: [
+      { name: "schema", description: `Schema to explore (default: ${SEARCH_SCHEMAS_LABEL})`, required: false }
+    ]
+  },
+  {
+    name: "write_query",
+    description: "Write a SQL query that answers a question, with the definitions of the most relevant tables",
+    arguments: [
+      { name: "question", description: "What the query should answer", required: true },
+      { name: "tables", description: "Comma-separated tables to use (default: picked from the question)", required: false }
+    ]
+  },
+  {
+    name: "review_migration",
+    description: "Review a migration for locking, data loss and compatibility risks against the current definitions of the tables it touches",
+    arguments: [
+      { name: "sql", description: "Migration SQL", required: true }
+    ]
+  },
+  {
+    name: "investigate_slow_query",
+    description: "Diagnose a slow query from its plan summary and the columns and indexes of the tables it reads",
+    arguments: [
+      { name: "sql", description: "The slow query", required: true }
+    ]
+  }
+];
+
+// With several connections every prompt takes an optional connection argument
+if (CONNECTIONS.size > 1) {
+  for (const prompt of PROMPTS) {
+    prompt.arguments.push({ name: "connection", description: `Connection to read the schema from (default: ${DEFAULT_CONNECTION.name})`, required: false });
+  }
+}
+
+async function getPrompt({ name, arguments: args = {} }) {
+  return await requestConnection.run(getConnection(args.connection), () => renderPrompt(name, args));
+}
+
+async function renderPrompt(name, args) {
+  switch (name) {
+    case "explore_database": return await exploreDatabasePrompt(args);
+    case "write_query": return await writeQueryPrompt(args);
+    case "review_migration": return await reviewMigrationPrompt(args);
+    case "investigate_slow_query": return await slowQueryPrompt(args);
+    default: throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+}
+
+// One Server per MCP session: stdio connects a single one, the HTTP transport one per client session
+function createServer() {
+  const server = new Server(
+    { name: "neon-pg", version: "1.7.0" },
+    { capabilities: { tools: {}, resources: {}, prompts: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: ENABLED_TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => await inSession(extra, () => callTool(request.params)));
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => await inSession(extra, () => handleListResources(request.params?.cursor)));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => await inSession(extra, () => handleReadResource(request.params.uri)));
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => await inSession(extra, () => getPrompt(request.params)));
+
+  return server;
+}
+
+async function handleQuery(args) {
+  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+
+  const statements = classifySql(args.sql);
+  if (statements.length !== 1) {
+    throw new McpError(ErrorCode.InvalidParams, statements.length === 0 ? "sql required" : "Run one statement at a time with the query tool");
+  }
+  const [statement] = statements;
+  assertFormat(args.format);
+  if (!statement.readOnly) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Use SELECT, WITH, VALUES, TABLE, SHOW or EXPLAIN queries only; this statement modifies data (${describeStatement(statement)}). Use the execute tool.`);
+  }
+
+  // Row-returning queries are paged through a cursor; when all cursor slots are taken (or a cursor would
+  // need a pool client beyond the pinned budget), fall back to a plain LIMIT, still read-only
+  const cursorSlotFree = openOnConnection(cursors) < MAX_OPEN_CURSORS &&
+    (args.transaction || pinningHandles().length < MAX_PINNED_CLIENTS);
+  if (statement.limitable && cursorSlotFree) {
+    return await handleCursorQuery(args, statement);
+  }
+
+  const hasUserLimit = !statement.limitable || statement.hasLimit;
+  const sql = hasUserLimit ? statement.text : withLimit(statement, MAX_ROWS);
+  const timeoutMs = timeoutFor(args);
+
+  // Outside a transaction the statement gets a read-only transaction of its own, as a cursor does;
+  // inside one, a read-only savepoint. Functions with side effects and EXPLAIN ANALYZE cannot write.
+  const dedicated = !args.transaction;
+  let client = null;
+  let cleanupError = null;
+  try {
+    client = dedicated ? await currentPool().connect() : clientFor(args);
+    const query = { text: sql, values: args.params || [], types: RAW_TYPES };
+    let result;
+    if (dedicated) {
+      await client.query('BEGIN READ ONLY');
+      result = await timedQuery(client, query, timeoutMs);
+    } else {
+      result = await inReadOnlySavepoint(client, () => timedQuery(client, query, timeoutMs));
+    }
+    noteAudit({ rowCount: result.rowCount });
+
+    const response = {
+      rowCount: result.rowCount,
+      rows: result.rows,
+      fields: await serializeResult(result, client)
+    };
+
+    response.redacted = appliedRedactions();
+    if (!hasUserLimit && result.rowCount >= MAX_ROWS) {
+      response.warning = `Results truncated at ${MAX_ROWS} rows. Add an explicit LIMIT clause or use WHERE to narrow results.` +
+        (statement.limitable ? ` (No cursor slot is free: at most ${MAX_OPEN_CURSORS} cursors, and ${MAX_PINNED_CLIENTS} transactions and cursors outside them together, may be open. close_cursor one to page through results.)` : '');
+    }
+    if (args.transaction) response.transaction = args.transaction;
+
+    return formatResult(response, { format: args.format, columns: fieldNames(result.fields) });
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    const enhanced = await enhanceError(error, args.sql);
+    throw new McpError(ErrorCode.InvalidParams, enhanced + (error.rolledBackToSavepoint ? '' : transactionErrorNote(args)));
+  } finally {
+    if (dedicated && client) {
+      await client.query('ROLLBACK').catch(error => { cleanupError = error; });
+      client.release(cleanupError || undefined);
+    }
+  }
+}
+
+async function handleCursorQuery(args, statement) {
+  const pageSize = pageSizeFor(args);
+  const timeoutMs = timeoutFor(args);
+  const tx = args.transaction ? getTransaction(args.transaction) : null;
+  if (tx) {
+    touchTransaction(tx);
+    tx.statements++;
+  }
+
+  const id = `cur_${randomUUID().slice(0, 8)}`;
+  const cursor = {
+    id,
+    name: `neon_pg_${id}`,
+    client: tx ? tx.client : await currentPool().connect(),
+    transaction: tx ? tx.id : null,
+    session: currentSession(),
+    connection: currentConnection(),
+    timeoutMs,
+    fields: null,
+    format: args.format,
+    buffered: [],
+    fetched: 0,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now(),
+    timer: null
+  };
+  cursors.set(id, cursor);
+
+  let page;
+  try {
+    if (!tx) await cursor.client.query('BEGIN READ ONLY');
+    await timedQuery(cursor.client, {
+      text: `DECLARE ${cursor.name} NO SCROLL CURSOR FOR ${statement.text}`,
+      values: args.params || []
+    }, cursor.timeoutMs);
+    page = await readCursorPage(cursor, pageSize);
+  } catch (error) {
+    await closeCursor(cursor, error.rolledBackToSavepoint ? undefined : error);
+    const enhanced = await enhanceError(error, args.sql);
+    throw new McpError(ErrorCode.InvalidParams, enhanced + (error.rolledBackToSavepoint ? '' : transactionErrorNote(args)));
+  }
+
+  // Rows paged in later by fetch_more are not counted
+  noteAudit({ rowCount: page.rows.length });
+  const response = {
+    rowCount: page.rows.length,
+    rows: page.rows,
+    fields: cursor.fields,
+    redacted: appliedRedactions()
+  };
+
+  if (page.hasMore) {
+    response.cursor_id = cursor.id;
+    response.has_more = true;
+    response.note = `More rows available. Call fetch_more with cursor_id "${cursor.id}", or close_cursor when done.`;
+  } else {
+    await closeCursor(cursor);
+  }
+  if (args.transaction) response.transaction = args.transaction;
+
+  return formatResult(response, { format: args.format, columns: fieldNames(cursor.fields) });
+}
+
+async function handleFetchMore(args) {
+  if (!args.cursor_id) throw new McpError(ErrorCode.InvalidParams, "cursor_id required");
+  const cursor = getCursor(args.cursor_id);
+  assertFormat(args.format);
+
+  let page;
+  try {
+    page = await readCursorPage(cursor, pageSizeFor(args));
+  } catch (error) {
+    await closeCursor(cursor, error.rolledBackToSavepoint ? undefined : error);
+    throw new McpError(ErrorCode.InvalidParams, `Fetch failed, cursor closed: ${error.message}`);
+  }
+
+  const response = {
+    cursor_id: cursor.id,
+    offset: page.offset,
+    rowCount: page.rows.length,
+    rows: page.rows,
+    has_more: page.hasMore,
+    redacted: appliedRedactions()
+  };
+  if (!page.hasMore) {
+    await closeCursor(cursor);
+    response.closed = true;
+  }
+
+  return formatResult(response, { format: args.format || cursor.format, columns: fieldNames(cursor.fields) });
+}
+
+async function handleCloseCursor(args) {
+  if (!args.cursor_id) throw new McpError(ErrorCode.InvalidParams, "cursor_id required");
+  const cursor = getCursor(args.cursor_id);
+  await closeCursor(cursor);
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ cursor_id: cursor.id, closed: true, rowsFetched: cursor.fetched }, null, 2)
+    }]
+  };
+}
+
+async function handleExecute(args) {
+  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+
+  const statements = classifySql(args.sql);
+  if (statements.length === 0) throw new McpError(ErrorCode.InvalidParams, "sql required");
+
+  if (statements.every(s => s.readOnly)) {
+    throw new McpError(ErrorCode.InvalidParams, "Use query tool for SELECT and other read-only statements");
+  }
+
+  if (statements.some(s => TRANSACTION_CONTROL_STATEMENTS.includes(s.kind))) {
+    throw new McpError(ErrorCode.InvalidParams, "Use the begin_transaction, commit and rollback tools for transaction control");
+  }
+
+  assertWriteAllowed(statements);
+  const timeoutMs = timeoutFor(args);
+
+  if (args.dry_run === true) return await handleDryRun(args, statements, timeoutMs);
+  assertWhereClauses(statements, args);
+
+  // Row guards need the change in a transaction block, to undo it once its row count is known
+  const { maxAffectedRows, confirmRows } = currentConnection().policy;
+  if ((maxAffectedRows || confirmRows) && statements.some(s => s.parts.some(p => DML_STATEMENTS.includes(p.kind)))) {
+    return await handleGuardedExecute(args, statements, timeoutMs);
+  }
+
+  try {
+    const result = await timedQuery(clientFor(args), { text: args.sql, values: args.params || [] }, timeoutMs,
+      client => assertTablesAllowed(client, statements));
+    noteAudit({ rowCount: affectedRows(result) });
+
+    // Invalidate schema cache on DDL statements
+    if (statements.some(s => s.schemaChanging)) {
+      invalidateSchemaCache();
+      if (args.transaction) getTransaction(args.transaction).schemaChanged = true;
+    }
+
+    const response = commandSummary(result);
+    if (args.transaction) response.transaction = args.transaction;
+
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(response, null, 2)
+      }]
+    };
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    const enhanced = await enhanceError(error, args.sql);
+    throw new McpError(ErrorCode.InvalidParams, enhanced + transactionErrorNote(args));
+  }
+}
+
+// Helper: Issue a confirm_token for a statement that changed rowCount rows
+function issueConfirmation(args, rowCount) {
+  const now = Date.now();
+  for (const [token, pending] of confirmations) {
+    if (pending.expiresAt <= now) confirmations.delete(token);
+  }
+  const token = `cfm_${randomUUID().slice(0, 8)}`;
+  confirmations.set(token, {
+    session: currentSession(),
+    connection: currentConnection(),
+    sql: args.sql,
+    params: JSON.stringify(args.params || []),
+    rowCount,
+    expiresAt: now + CONFIRM_TOKEN_TTL
+  });
+  return token;
+}
+
+// Helper: Use up the confirmation a confirm_token stands for; it must match the statement exactly
+function takeConfirmation(args) {
+  const pending = confirmations.get(args.confirm_token);
+  confirmations.delete(args.confirm_token);
+  if (!pending || pending.expiresAt <= Date.now() || pending.session !== currentSession() || pending.connection !== currentConnection()) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `confirm_token "${args.confirm_token}" is unknown, used or expired (tokens last ${CONFIRM_TOKEN_TTL / 1000}s). Run the statement without it for a new one`);
+  }
+  if (pending.sql !== args.sql || pending.params !== JSON.stringify(args.params || [])) {
+    throw new McpError(ErrorCode.InvalidParams, `confirm_token "${args.confirm_token}" was issued for a different statement or parameters`);
+  }
+  return pending;
+}
+
+// Run a statement in a transaction block (a savepoint inside a transaction) and keep it only if the
+// rows it changed are within the connection's guards: over maxAffectedRows it is rolled back with an
+// error; over confirmRows it is rolled back and a confirm_token returned, unless one was passed for
+// at least as many rows
+async function handleGuardedExecute(args, statements, timeoutMs) {
+  const { maxAffectedRows, confirmRows } = currentConnection().policy;
+  const confirmed = args.confirm_token ? takeConfirmation(args) : null;
+
+  const tx = args.transaction ? getTransaction(args.transaction) : null;
+  if (tx) {
+    touchTransaction(tx);
+    tx.statements++;
+  }
+  const client = tx ? tx.client : await currentPool().connect();
+
+  let result;
+  let rowCount;
+  let verdict;
+  let cleanupError = null;
+  try {
+    await assertTablesAllowed(client, statements);
+    await client.query(tx ? 'SAVEPOINT neon_pg_guard' : 'BEGIN');
+    result = await timedQuery(client, { text: args.sql, values: args.params || [] }, timeoutMs);
+    rowCount = affectedRows(result);
+    noteAudit({ rowCount });
+
+    verdict = maxAffectedRows && rowCount > maxAffectedRows ? 'over_limit'
+      : confirmRows && rowCount > confirmRows && !(confirmed && rowCount <= confirmed.rowCount) ? 'confirm'
+      : 'keep';
+    if (verdict === 'keep') await client.query(tx ? 'RELEASE SAVEPOINT neon_pg_guard' : 'COMMIT');
+    else await client.query(tx ? 'ROLLBACK TO SAVEPOINT neon_pg_guard' : 'ROLLBACK');
+  } catch (error) {
+    // Outside a transaction nothing is kept; inside one the failure aborts it, as it would unguarded
+    if (!tx) await client.query('ROLLBACK').catch(rollbackError => { cleanupError = rollbackError; });
+    if (error instanceof McpError) throw error;
+    const enhanced = await enhanceError(error, args.sql);
+    throw new McpError(ErrorCode.InvalidParams, enhanced + transactionErrorNote(args));
+  } finally {
+    if (!tx) client.release(cleanupError || undefined);
+  }
+
+  if (verdict === 'over_limit') {
+    throw new McpError(ErrorCode.InvalidParams,
+      `The statement changed ${rowCount} rows, more than the ${maxAffectedRows} this connection allows in one call, so it was rolled back. Narrow the WHERE clause or apply the change in batches`);
+  }
+
+  const response = commandSummary(result);
+  if (verdict === 'confirm') {
+    const token = issueConfirmation(args, rowCount);
+    Object.assign(response, { rolledBack: true, confirm_required: true, confirm_token: token });
+    response.note = confirmed
+      ? `The statement now changes ${rowCount} rows, more than the ${confirmed.rowCount} confirmed, so it was rolled back. Check the change, then call execute again with confirm_token "${token}"`
+      : `The statement changes ${rowCount} rows, more than ${confirmRows}, so it was rolled back. Check the change (dry_run shows a sample), then call execute again with the same sql and params and confirm_token "${token}" within ${CONFIRM_TOKEN_TTL / 60000} minutes`;
+  } else if (statements.some(s => s.schemaChanging)) {
+    invalidateSchemaCache();
+    if (tx) tx.schemaChanged = true;
+  }
+  if (args.transaction) response.transaction = args.transaction;
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(response, null, 2)
+    }]
+  };
+}
+
+// Helper: command/rowCount of a result; multi-statement input gets one entry per statement
+function commandSummary(result) {
+  if (!Array.isArray(result)) return { command: result.command, rowCount: result.rowCount };
+  return { statements: result.map(r => ({ command: r.command, rowCount: r.rowCount })) };
+}
+
+// Helper: Rows affected by a result, summed over multi-statement input
+function affectedRows(result) {
+  return [result].flat().reduce((total, r) => total + (r.rowCount ?? 0), 0);
+}
+
+// Helper: Primary key columns of a statement target, resolved through the connection's search_path
+async function primaryKeyColumns(client, target) {
+  const name = target.schema ? sqlTableName(target.schema, target.table) : `"${target.table}"`;
+  const result = await client.query(`
+    SELECT a.attname
+    FROM pg_index i
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+    WHERE i.indrelid = to_regclass($1) AND i.indisprimary
+    ORDER BY array_position(i.indkey::int2[], a.attnum)
+  `, [name]);
+  return result.rows.map(r => r.attname);
+}
+
+// Helper: Current rows matching the primary keys of the given rows
+async function fetchRowsByKey(client, target, pkCols, rows) {
+  const name = target.schema ? sqlTableName(target.schema, target.table) : `"${target.table}"`;
+  const values = [];
+  const tuples = rows.map(row => `(${pkCols.map(col => {
+    values.push(row[col]);
+    return `$${values.length}`;
+  }).join(', ')})`);
+  const result = await client.query({
+    text: `SELECT * FROM ${name} WHERE (${pkCols.map(c => `"${c}"`).join(', ')}) IN (${tuples.join(', ')})`,
+    values,
+    types: RAW_TYPES
+  });
+  await serializeResult(result, client);
+  return result.rows;
+}
+
+// Helper: Describe how each returned row differs from its pre-statement version
+function diffRows(kind, returnedRows, beforeRows, pkCols) {
+  const keyOf = row => JSON.stringify(pkCols.map(c => row[c]));
+  const beforeByKey = new Map(beforeRows.map(row => [keyOf(row), row]));
+
+  return returnedRows.map(row => {
+    if (kind === 'DELETE') return { before: row };
+
+    const before = pkCols.length > 0 ? beforeByKey.get(keyOf(row)) : undefined;
+    if (!before) return kind === 'INSERT' ? { after: row } : { after: row, note: 'previous version unavailable (no primary key)' };
+
+    const changes = {};
+    for (const [col, value] of Object.entries(row)) {
+      if (JSON.stringify(before[col]) !== JSON.stringify(value)) {
+        changes[col] = { before: before[col], after: value };
+      }
+    }
+    return { key: Object.fromEntries(pkCols.map(c => [c, row[c]])), changes };
+  });
+}
+
+// Run a statement inside a savepoint that is always rolled back, capturing affected rows
+async function handleDryRun(args, statements, timeoutMs) {
+  // Row capture needs a single DML statement whose target is known
+  const statement = statements.length === 1 ? statements[0] : null;
+  const kind = statement?.kind;
+  const target = statement && partTargets(statement, statement.parts[0])?.[0];
+  const safeTarget = target && SAFE_IDENTIFIER.test(target.table) && (!target.schema || SAFE_IDENTIFIER.test(target.schema));
+  const hasReturning = statement?.hasReturning === true;
+  const capturesRows = ['INSERT', 'UPDATE', 'DELETE'].includes(kind) && safeTarget && !hasReturning;
+  const text = capturesRows ? `${statement.text} RETURNING ${returningRef(statement, target)}.*` : args.sql;
+
+  const tx = args.transaction ? getTransaction(args.transaction) : null;
+  if (tx) {
+    touchTransaction(tx);
+    tx.statements++;
+  }
+  const client = tx ? tx.client : await currentPool().connect();
+
+  let result;
+  let beforeRows = [];
+  let pkCols = [];
+  let cleanupError = null;
+  try {
+    if (!tx) await client.query('BEGIN');
+    await client.query('SAVEPOINT neon_pg_dry_run');
+    await assertTablesAllowed(client, statements);
+
+    result = await timedQuery(client, { text, values: args.params || [], types: RAW_TYPES }, timeoutMs);
+    noteAudit({ rowCount: affectedRows(result) });
+    // Multi-statement input returns an array of results and captures no rows
+    if (!Array.isArray(result)) await serializeResult(result, client);
+
+    // Undo the change, then look up the pre-statement version of the sampled rows
+    await client.query('ROLLBACK TO SAVEPOINT neon_pg_dry_run');
+    if (capturesRows && kind !== 'DELETE' && result.rows.length > 0) {
+      pkCols = await primaryKeyColumns(client, target);
+      if (pkCols.length > 0) {
+        beforeRows = await fetchRowsByKey(client, target, pkCols, result.rows.slice(0, DRY_RUN_SAMPLE_ROWS));
+      }
+    }
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    const enhanced = await enhanceError(error, args.sql);
+    throw new McpError(ErrorCode.InvalidParams, `Dry run failed (nothing was changed): ${enhanced}`);
+  } finally {
+    try {
+      if (tx) {
+        await client.query('ROLLBACK TO SAVEPOINT neon_pg_dry_run');
+        await client.query('RELEASE SAVEPOINT neon_pg_dry_run');
+      } else {
+        await client.query('ROLLBACK');
+      }
+    } catch (error) {
+      cleanupError = error;
+    }
+    if (!tx) client.release(cleanupError || undefined);
+  }
+
+  const response = {
+    ...commandSummary(result),
+    dryRun: true,
+    rolledBack: true
+  };
+
+  const sample = Array.isArray(result) ? [] : result.rows.slice(0, DRY_RUN_SAMPLE_ROWS);
+  if (capturesRows) {
+    response.sample = diffRows(kind, sample, beforeRows, pkCols);
+    if (result.rows.length > sample.length) {
+      response.note = `Showing ${sample.length} of ${result.rows.length} affected rows`;
+    }
+  } else if (hasReturning) {
+    response.returning = sample;
+  }
+  response.redacted = appliedRedactions();
+
+  // A dry run is a preview: it hands out the confirm_token execute would ask for
+  const { maxAffectedRows, confirmRows } = currentConnection().policy;
+  const rowCount = affectedRows(result);
+  if (maxAffectedRows && rowCount > maxAffectedRows) {
+    response.warning = `Changes ${rowCount} rows, more than the ${maxAffectedRows} this connection allows in one call; execute would roll it back`;
+  } else if (confirmRows && rowCount > confirmRows) {
+    response.confirm_token = issueConfirmation(args, rowCount);
+    response.note = `${response.note ? `${response.note}. ` : ''}Changes more than ${confirmRows} rows; pass confirm_token to execute to apply it`;
+  }
+  if (args.transaction) response.transaction = args.transaction;
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(response, null, 2)
+    }]
+  };
+}
+
+// Helper: Plan node label, e.g. "Index Scan using orders_pkey on public.orders o"
+function planNodeLabel(node) {
+  let label = node['Node Type'];
+  if (node['Index Name']) label += ` using ${node['Index Name']}`;
+  if (node['Relation Name']) {
+    label += ` on ${node.Schema ? qualifiedName(node.Schema, node['Relation Name']) : node['Relation Name']}`;
+    if (node.Alias && node.Alias !== node['Relation Name']) label += ` ${node.Alias}`;
+  }
+  return label;
+}
+
+// Helper: Flatten a plan tree, computing each node's own cost (and time, when analyzed) without its children
+function flattenPlan(node, nodes = []) {
+  const children = node.Plans || [];
+  const entry = { node, label: planNodeLabel(node) };
+  entry.selfCost = Math.max(0, node['Total Cost'] - children.reduce((sum, child) => sum + child['Total Cost'], 0));
+  if (node['Actual Total Time'] !== undefined) {
+    const totalTime = n => n['Actual Total Time'] * n['Actual Loops'];
+    entry.selfTime = Math.max(0, totalTime(node) - children.reduce((sum, child) => sum + totalTime(child), 0));
+  }
+  nodes.push(entry);
+  for (const child of children) flattenPlan(child, nodes);
+  return nodes;
+}
+
+// Helper: Columns of the scanned relation used in a node's Filter (VERBOSE qualifies them with the alias)
+function filterColumns(node) {
+  if (!node.Filter || !node.Alias) return [];
+  const alias = node.Alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?:^|[^\\w$."])"?${alias}"?\\.(?:"((?:[^"]|"")+)"|([a-z_][a-z0-9_$]*))`, 'g');
+  const columns = [];
+  for (const match of node.Filter.matchAll(pattern)) {
+    const column = match[1] ? match[1].replace(/""/g, '"') : match[2];
+    if (!columns.includes(column)) columns.push(column);
+  }
+  return columns;
+}
+
+// Helper: Estimated row counts (pg_class.reltuples) keyed by qualified name; tables never analyzed are left out
+async function tableRowEstimates(client, targets) {
+  if (targets.length === 0) return new Map();
+  const result = await client.query(`
+    SELECT n.nspname, c.relname, c.reltuples::float8 AS reltuples
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.oid IN (SELECT to_regclass(name) FROM unnest($1::text[]) AS name) AND c.reltuples >= 0
+  `, [targets.map(t => sqlTableName(t.schema, t.table))]);
+  return new Map(result.rows.map(r => [qualifiedName(r.nspname, r.relname), Math.round(r.reltuples)]));
+}
+
+// Helper: Leading columns of a table's existing indexes
+async function indexLeadingColumns(client, target) {
+  const result = await client.query(`
+    SELECT DISTINCT a.attname
+    FROM pg_index i
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[0]
+    WHERE i.indrelid = to_regclass($1)
+  `, [sqlTableName(target.schema, target.table)]);
+  return result.rows.map(r => r.attname);
+}
+
+// Helper: Summarize an EXPLAIN (FORMAT JSON, VERBOSE) result: the costliest nodes plus
+// warnings for large sequential scans, row misestimates, spills to disk and missing indexes
+async function analyzePlan(explain, client) {
+  const round = n => Math.round(n * 100) / 100;
+  const root = explain.Plan;
+  const nodes = flattenPlan(root);
+  const analyzed = explain['Execution Time'] !== undefined;
+
+  const summary = { totalCost: root['Total Cost'], estimatedRows: root['Plan Rows'] };
+  if (analyzed) {
+    summary.actualRows = root['Actual Rows'];
+    summary.planningTimeMs = round(explain['Planning Time']);
+    summary.executionTimeMs = round(explain['Execution Time']);
+  }
+  if (root['Shared Hit Blocks'] !== undefined) {
+    summary.buffers = {
+      sharedHit: root['Shared Hit Blocks'],
+      sharedRead: root['Shared Read Blocks'],
+      tempRead: root['Temp Read Blocks'],
+      tempWritten: root['Temp Written Blocks']
+    };
+  }
+
+  summary.expensiveNodes = [...nodes]
+    .sort((a, b) => analyzed ? b.selfTime - a.selfTime : b.selfCost - a.selfCost)
+    .slice(0, EXPLAIN_TOP_NODES)
+    .map(({ node, label, selfCost, selfTime }) => analyzed
+      ? { node: label, selfTimeMs: round(selfTime), selfCost: round(selfCost), rows: node['Actual Rows'], loops: node['Actual Loops'] }
+      : { node: label, selfCost: round(selfCost), rows: node['Plan Rows'] });
+
+  const warnings = [];
+  const indexCandidates = [];
+
+  const seqScans = nodes.filter(({ node }) => node['Node Type'] === 'Seq Scan' && node['Relation Name']);
+  const targetOf = node => ({ schema: node.Schema || 'public', table: node['Relation Name'] });
+  const tableRows = await tableRowEstimates(client, seqScans.map(({ node }) => targetOf(node)));
+  for (const { node, label } of seqScans) {
+    const target = targetOf(node);
+    const name = qualifiedName(target.schema, target.table);
+    const rows = tableRows.get(name) ?? (analyzed ? node['Actual Rows'] + (node['Rows Removed by Filter'] || 0) : node['Plan Rows']);
+    if (rows < EXPLAIN_LARGE_TABLE_ROWS) continue;
+
+    warnings.push({
+      type: 'seq_scan',
+      node: label,
+      tableRows: rows,
+      message: `${label} reads all ~${rows} rows${node.Filter ? ` to apply ${node.Filter}` : ''}`
+    });
+
+    const indexed = await indexLeadingColumns(client, target);
+    const columns = filterColumns(node).filter(c => !indexed.includes(c)).slice(0, 3);
+    if (columns.length > 0 && !indexCandidates.some(c => c.table === name && c.columns.join() === columns.join())) {
+      indexCandidates.push({
+        table: name,
+        columns,
+        sql: `CREATE INDEX ON ${sqlTableName(target.schema, target.table)} (${columns.map(c => `"${c.replace(/"/g, '""')}"`).join(', ')})`
+      });
+    }
+  }
+
+  for (const { node, label } of nodes) {
+    // Nodes that never ran (Actual Loops 0) have nothing to compare
+    if (analyzed && node['Actual Loops'] > 0) {
+      const estimated = node['Plan Rows'];
+      const actual = node['Actual Rows'];
+      const factor = Math.max(estimated, actual) / Math.max(Math.min(estimated, actual), 1);
+      if (Math.max(estimated, actual) >= 100 && factor >= EXPLAIN_MISESTIMATE_FACTOR) {
+        warnings.push({
+          type: 'misestimate',
+          node: label,
+          estimatedRows: estimated,
+          actualRows: actual,
+          message: `${label} estimated ${estimated} rows but returned ${actual} (${Math.round(factor)}x off); stale statistics (run ANALYZE) or correlated conditions are likely causes`
+        });
+      }
+    }
+
+    if (node['Sort Space Type'] === 'Disk') {
+      warnings.push({
+        type: 'disk_sort',
+        node: label,
+        spaceKB: node['Sort Space Used'],
+        message: `${label} spilled ${node['Sort Space Used']} kB to disk (${node['Sort Method']}); a larger work_mem or an index matching the sort order would avoid it`
+      });
+    }
+    if (node['Hash Batches'] > 1) {
+      warnings.push({
+        type: 'disk_hash',
+        node: label,
+        batches: node['Hash Batches'],
+        message: `${label} split into ${node['Hash Batches']} batches on disk; a larger work_mem would keep it in memory`
+      });
+    }
+  }
+
+  return { ...summary, warnings, indexCandidates };
+}
+
+// Show a statement's plan with EXPLAIN (FORMAT JSON), optionally ANALYZE-d inside a rolled-back transaction
+async function handleExplainQuery(args) {
+  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+
+  const statements = classifySql(args.sql);
+  if (statements.length !== 1) {
+    throw new McpError(ErrorCode.InvalidParams, statements.length === 0 ? "sql required" : "Explain one statement at a time");
+  }
+  const [statement] = statements;
+  if (statement.kind === 'EXPLAIN') {
+    throw new McpError(ErrorCode.InvalidParams, "Pass the statement without EXPLAIN; use the analyze and buffers arguments for options");
+  }
+  if (!EXPLAINABLE_STATEMENTS.includes(statement.kind)) {
+    throw new McpError(ErrorCode.InvalidParams, `Only ${EXPLAINABLE_STATEMENTS.join(', ')} statements can be explained`);
+  }
+
+  // ANALYZE executes the statement: writes must pass the write policy, and everything is rolled back
+  const analyze = args.analyze === true;
+  if (analyze) assertWriteAllowed(statements);
+
+  const options = ['FORMAT JSON', 'VERBOSE'];
+  if (analyze) options.push('ANALYZE');
+  if (analyze && args.buffers === true) options.push('BUFFERS');
+  const text = `EXPLAIN (${options.join(', ')}) ${statement.text}`;
+  const timeoutMs = timeoutFor(args);
+
+  const tx = args.transaction ? getTransaction(args.transaction) : null;
+  if (tx) {
+    touchTransaction(tx);
+    tx.statements++;
+  }
+
+  let result;
+  if (!analyze) {
+    try {
+      result = await timedQuery(tx ? tx.client : currentPool(), { text, values: args.params || [] }, timeoutMs);
+    } catch (error) {
+      const enhanced = await enhanceError(error, args.sql);
+      throw new McpError(ErrorCode.InvalidParams, enhanced + transactionErrorNote(args));
+    }
+  } else {
+    const client = tx ? tx.client : await currentPool().connect();
+    let cleanupError = null;
+    try {
+      await client.query(tx ? 'SAVEPOINT neon_pg_explain' : statement.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+      await assertTablesAllowed(client, statements);
+      result = await timedQuery(client, { text, values: args.params || [] }, timeoutMs);
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      const enhanced = await enhanceError(error, args.sql);
+      throw new McpError(ErrorCode.InvalidParams, `Explain failed (nothing was changed): ${enhanced}`);
+    } finally {
+      try {
+        if (tx) {
+          await client.query('ROLLBACK TO SAVEPOINT neon_pg_explain');
+          await client.query('RELEASE SAVEPOINT neon_pg_explain');
+        } else {
+          await client.query('ROLLBACK');
+        }
+      } catch (error) {
+        cleanupError = error;
+      }
+      if (!tx) client.release(cleanupError || undefined);
+    }
+  }
+
+  const [explain] = result.rows[0]['QUERY PLAN'];
+  const response = {
+    statement: describeStatement(statement),
+    analyzed: analyze,
+    ...await analyzePlan(explain, tx ? tx.client : currentPool())
+  };
+  if (analyze) response.rolledBack = true;
+  if (args.include_plan === true) response.plan = explain.Plan;
+  if (args.transaction) response.transaction = args.transaction;
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(response, null, 2)
+    }]
+  };
+}
+
+async function handleBeginTransaction(args) {
+  const pinning = pinningHandles();
+  if (pinning.length >= MAX_PINNED_CLIENTS) {
+    throw new McpError(ErrorCode.InvalidRequest,
+      `Too many open transactions and cursors (max ${MAX_PINNED_CLIENTS} together, as each holds a pooled connection). Commit or roll back a transaction, or close a cursor, first: ${pinning.filter(handle => handle.session === currentSession()).map(handle => handle.id).join(', ') || 'all are held by other sessions'}`);
+  }
+
+  const isolationLevel = (args.isolation_level || 'read committed').toLowerCase();
+  if (!ISOLATION_LEVELS.includes(isolationLevel)) {
+    throw new McpError(ErrorCode.InvalidParams, `isolation_level must be one of: ${ISOLATION_LEVELS.join(', ')}`);
+  }
+  const readOnly = args.read_only === true || currentConnection().policy.readOnly;
+
+  const client = await currentPool().connect();
+  try {
+    await client.query(`BEGIN ISOLATION LEVEL ${isolationLevel.toUpperCase()}${readOnly ? ' READ ONLY' : ''}`);
+  } catch (error) {
+    client.release(error);
+    throw new McpError(ErrorCode.InternalError, `Could not start transaction: ${error.message}`);
+  }
+
+  const tx = {
+    id: `tx_${randomUUID().slice(0, 8)}`,
+    client,
+    session: currentSession(),
+    connection: currentConnection(),
+    isolationLevel,
+    readOnly,
+    startedAt: Date.now(),
+    lastUsedAt: Date.now(),
+    statements: 0,
+    failed: false,
+    schemaChanged: false,
+    timer: null
+  };
+  transactions.set(tx.id, tx);
+  touchTransaction(tx);
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        transaction: tx.id,
+        isolationLevel,
+        readOnly,
+        idleTimeoutSeconds: TRANSACTION_IDLE_TIMEOUT / 1000
+      }, null, 2)
+    }]
+  };
+}
+
+async function handleEndTransaction(args, command) {
+  if (!args.transaction) throw new McpError(ErrorCode.InvalidParams, "transaction required");
+  const tx = getTransaction(args.transaction);
+
+  try {
+    const result = await endTransaction(tx, command);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          transaction: tx.id,
+          // COMMIT of an aborted transaction is reported by PostgreSQL as ROLLBACK
+          command: result.command,
+          statements: tx.statements,
+          durationMs: Date.now() - tx.startedAt
+        }, null, 2)
+      }]
+    };
+  } catch (error) {
+    throw new McpError(ErrorCode.InternalError, `${command} failed, connection discarded: ${error.message}`);
+  }
+}
+
+async function handleGetStatus() {
+  const now = Date.now();
+  const openTransactions = ownedBySession(transactions).map(tx => ({
+    transaction: tx.id,
+    connection: tx.connection.name,
+    isolationLevel: tx.isolationLevel,
+    readOnly: tx.readOnly,
+    statements: tx.statements,
+    failed: tx.failed,
+    ageSeconds: Math.round((now - tx.startedAt) / 1000),
+    idleSeconds: Math.round((now - tx.lastUsedAt) / 1000),
+    expiresInSeconds: Math.round((tx.lastUsedAt + TRANSACTION_IDLE_TIMEOUT - now) / 1000)
+  }));
+  const openCursors = ownedBySession(cursors).map(cursor => ({
+    cursor_id: cursor.id,
+    connection: cursor.connection.name,
+    transaction: cursor.transaction,
+    rowsFetched: cursor.fetched,
+    ageSeconds: Math.round((now - cursor.createdAt) / 1000),
+    idleSeconds: Math.round((now - cursor.lastUsedAt) / 1000),
+    expiresInSeconds: Math.round((cursor.lastUsedAt + CURSOR_IDLE_TIMEOUT - now) / 1000)
+  }));
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        transactions: openTransactions,
+        cursors: openCursors,
+        connection: currentConnection().name,
+        pool: poolStats(currentPool()),
+        transport: TRANSPORT.transport,
+        session: currentSession(),
+        writePolicy: describeWritePolicy(),
+        searchSchemas: searchSchemas()
+      }, null, 2)
+    }]
+  };
+}
+
+function poolStats(pool) {
+  return { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+}
+
+async function handleListConnections() {
+  const connections = [...CONNECTIONS.values()].map(connection => ({
+    name: connection.name,
+    default: connection === DEFAULT_CONNECTION,
+    ...connection.target,
+    writePolicy: describeWritePolicy(connection.policy),
+    readOnly: connection.policy.readOnly,
+    searchSchemas: connection.schemas,
+    redaction: describeRedaction(connection.redaction),
+    migrations: connection.migrations
+      ? { directory: connection.migrations.dir, table: qualifiedName(connection.migrations.table.schema, connection.migrations.table.table) }
+      : 'off',
+    pool: poolStats(connection.pool)
+  }));
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ connections }, null, 2)
+    }]
+  };
+}
+
+async function handleGetAuditLog(args) {
+  if (args.tool && !AUDITED_TOOLS.includes(args.tool)) {
+    throw new McpError(ErrorCode.InvalidParams, `"${args.tool}" calls are not audited. Audited tools: ${AUDITED_TOOLS.join(', ')}`);
+  }
+
+  const limit = Math.min(Math.max(1, args.limit || AUDIT_LOG_DEFAULT_LIMIT), MAX_AUDIT_LOG_LIMIT);
+  const table = args.table ? parseTableRef(args.table) : null;
+  const error = args.error?.toLowerCase();
+  const entries = await readAuditEntries(entry =>
+    (!args.tool || entry.tool === args.tool) &&
+    (!args.connection || entry.connection === args.connection) &&
+    (!table || auditTouchesTable(entry, table)) &&
+    (!(args.errors_only || error) || entry.error !== undefined) &&
+    (!error || entry.sqlstate?.toLowerCase() === error || entry.error.toLowerCase().includes(error)),
+  limit);
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ file: AUDIT.path, count: entries.length, entries }, null, 2)
+    }]
+  };
+}
+
+async function handleGetTables(args) {
+  const schemas = schemasFor(args);
+
+  const result = await currentPool().query(`
+    SELECT t.table_schema || '.' || t.table_name as table_name,
+           pg_size_pretty(pg_total_relation_size(quote_ident(t.table_schema) || '.' || quote_ident(t.table_name))) as size,
+           (SELECT count(*) FROM information_schema.columns c
+            WHERE c.table_name = t.table_name AND c.table_schema = t.table_schema) as cols
+    FROM information_schema.tables t
+    WHERE t.table_schema = ANY($1) AND t.table_type = 'BASE TABLE'
+    ORDER BY t.table_schema, t.table_name
+  `, [schemas]);
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ tables: result.rows }, null, 2)
+    }]
+  };
+}
+
+async function handleListSchemas() {
+  const result = await currentPool().query(`
+    SELECT
+      n.nspname as schema,
+      count(c.oid) FILTER (WHERE c.relkind IN ('r', 'p')) as tables,
+      count(c.oid) FILTER (WHERE c.relkind IN ('v', 'm')) as views,
+      pg_size_pretty(coalesce(sum(pg_total_relation_size(c.oid)) FILTER (WHERE c.relkind IN ('r', 'm')), 0)) as size,
+      obj_description(n.oid, 'pg_namespace') as comment
+    FROM pg_namespace n
+    LEFT JOIN pg_class c ON c.relnamespace = n.oid
+    WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+      AND n.nspname NOT LIKE 'pg_toast%'
+      AND n.nspname NOT LIKE 'pg_temp_%'
+    GROUP BY n.oid, n.nspname
+    ORDER BY n.nspname
+  `);
+
+  const schemas = result.rows.map(row => {
+    const schema = {
+      name: row.schema,
+      tables: parseInt(row.tables),
+      views: parseInt(row.views),
+      size: row.size
+    };
+    if (searchSchemas().includes(row.schema)) schema.searched = true;
+    if (row.comment) schema.comment = row.comment;
+    return schema;
+  });
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ schemas, searched_schemas: searchSchemas() }, null, 2)
+    }]
+  };
+}
+
+async function handleGetSchema(args) {
+  const schemas = schemasFor(args);
+  assertFormat(args.format);
+
+  // Build exclusion clause for backup/archive tables
+  const includeAll = args.include_all === true;
+  const excludeClause = includeAll ? '' : `
+    AND c.relname NOT LIKE '%_backup%'
+    AND c.relname NOT LIKE '%_archive%'
+    AND c.relname NOT LIKE '%_bak_%'
+    AND c.relname NOT LIKE '%_old_%'
+    AND c.relname !~ '_\\d{6,8}$'
+  `;
+
+  // Specific tables override limit/offset. Bare names are looked up in the searched schemas,
+  // schema.table names in their own schema, as describe_table and sample_data resolve them.
+  const hasSpecificTables = args.tables?.length > 0;
+  const tableFilter = hasSpecificTables
+    ? `(n.nspname = ANY($1) AND c.relname = ANY($2)) OR n.nspname || '.' || c.relname = ANY($3)`
+    : 'n.nspname = ANY($1)';
+
+  // Pagination
+  const limit = hasSpecificTables ? 200 : Math.min(Math.max(1, args.limit || 50), 200);
+  const offset = hasSpecificTables ? 0 : Math.max(0, args.offset || 0);
+
+  const query = `
+    SELECT
+      n.nspname as schema_name,
+      c.relname as table_name,
+      pg_size_pretty(pg_total_relation_size(c.oid)) as size,
+      pg_total_relation_size(c.oid) as size_bytes,
+      c.reltuples::bigint as row_estimate,
+      obj_description(c.oid) as comment,
+      (SELECT count(*) FROM information_schema.columns ic
+       WHERE ic.table_name = c.relname AND ic.table_schema = n.nspname) as col_count
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE (${tableFilter})
+      AND c.relkind = 'r'
+      ${excludeClause}
+    ORDER BY pg_total_relation_size(c.oid) DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+
+  const params = hasSpecificTables
+    ? [schemas, args.tables.filter(t => !t.includes('.')), args.tables.filter(t => t.includes('.'))]
+    : [schemas];
+  const result = await currentPool().query(query, params);
+
+  // Get total count for pagination info
+  const countQuery = `
+    SELECT count(*) as total
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = ANY($1) AND c.relkind = 'r'
+    ${excludeClause}
+  `;
+  const countResult = await currentPool().query(countQuery, [schemas]);
+  const totalTables = parseInt(countResult.rows[0].total);
+
+  // Build structured output
+  const tables = result.rows.map(row => {
+    const table = {
+      name: qualifiedName(row.schema_name, row.table_name),
+      size: row.size,
+      rows: row.row_estimate,
+      columns: parseInt(row.col_count)
+    };
+    if (row.comment) table.comment = row.comment;
+    return table;
+  });
+
+  const output = {
+    tables,
+    pagination: {
+      returned: tables.length,
+      total: totalTables,
+      offset,
+      limit,
+      has_more: offset + tables.length < totalTables
+    }
+  };
+
+  if (!includeAll) {
+    output.note = "Backup/archive tables excluded. Use include_all:true to see all.";
+  }
+
+  return formatResult(output, { format: args.format, rowsKey: 'tables', columns: ['name', 'size', 'rows', 'columns', 'comment'] });
+}
+
+async function handleDescribeTable(args) {
+  if (!args.table) throw new McpError(ErrorCode.InvalidParams, "table required");
+  const { schema, table } = await resolveTable(args);
+  const result = await describeTable(schema, table);
+  result.redacted = appliedRedactions();
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(result, null, 2)
+    }]
+  };
+}
+
+// Helper: Columns, keys, indexes, enums and JSONB keys of a table or view (names must be safe identifiers)
+async function describeTable(schema, table) {
+  const [cols, pks, fks, idxs, stats] = await Promise.all([
+    // Get columns with enum type names
+    currentPool().query(`
+      SELECT
+        c.column_name as col,
+        c.data_type as type,
+        c.udt_name as udt,
+        c.is_nullable as nullable,
+        c.column_default as default
+      FROM information_schema.columns c
+      WHERE c.table_schema = $1 AND c.table_name = $2
+      ORDER BY c.ordinal_position
+    `, [schema, table]),
+
+    currentPool().query(`
+      SELECT kcu.column_name
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.key_column_usage kcu
+        ON tc.constraint_name = kcu.constraint_name AND tc.constraint_schema = kcu.constraint_schema
+      WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = $1 AND tc.table_name = $2
+    `, [schema, table]),
+
+    currentPool().query(`
+      SELECT kcu.column_name as col, ccu.table_schema as ref_schema, ccu.table_name as ref_table, ccu.column_name as ref_col
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.key_column_usage kcu
+        ON tc.constraint_name = kcu.constraint_name AND tc.constraint_schema = kcu.constraint_schema
+      JOIN information_schema.constraint_column_usage ccu
+        ON tc.constraint_name = ccu.constraint_name AND tc.constraint_schema = ccu.constraint_schema
+      WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = $1 AND tc.table_name = $2
+    `, [schema, table]),
+
+    currentPool().query(`
+      SELECT indexname, indexdef FROM pg_indexes
+      WHERE schemaname = $1 AND tablename = $2
+    `, [schema, table]),
+
+    currentPool().query(`
+      SELECT pg_size_pretty(pg_total_relation_size(c.oid)) as size, c.reltuples::bigint as rows
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1 AND c.relname = $2
+    `, [schema, table])
+  ]);
+
+  if (cols.rowCount === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Table '${qualifiedName(schema, table)}' not found`);
+  }
+
+  // Find enum columns and get their values
+  const enumCols = cols.rows.filter(c => c.type === 'USER-DEFINED');
+  let enums = {};
+
+  if (enumCols.length > 0) {
+    const enumNames = [...new Set(enumCols.map(c => c.udt))];
+    const enumResult = await currentPool().query(`
+      SELECT t.typname, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) as values
+      FROM pg_type t
+      JOIN pg_enum e ON t.oid = e.enumtypid
+      WHERE t.typname = ANY($1)
+      GROUP BY t.typname
+    `, [enumNames]);
+
+    for (const row of enumResult.rows) {
+      enums[row.typname] = row.values;
+    }
+  }
+
+  // Get JSON/JSONB column keys, most frequent first, from the first object values
+  const jsonbCols = cols.rows.filter(c => ['json', 'jsonb'].includes(c.type));
+  let jsonbKeys = {};
+
+  for (const jcol of jsonbCols) {
+    // Keys of a column under a rule are left out; the others pass through the value detectors
+    const rule = columnRule(jcol.col, { schema, table, column: jcol.col });
+    if (rule && rule.action !== 'keep') {
+      noteRedaction(rule, jcol.col);
+      continue;
+    }
+    try {
+      assertSafeIdentifier(jcol.col, 'column name');
+      const keysResult = await currentPool().query(`
+        SELECT key
+        FROM (
+          SELECT "${jcol.col}" AS value FROM ${sqlTableName(schema, table)}
+          WHERE ${jcol.type}_typeof("${jcol.col}") = 'object'
+          LIMIT ${JSON_KEY_SAMPLE_ROWS}
+        ) s, ${jcol.type}_object_keys(s.value) key
+        GROUP BY key
+        ORDER BY count(*) DESC, key
+        LIMIT ${JSON_DESCRIBE_KEYS}
+      `);
+      const keys = keysResult.rows.map(r => redactValue(r.key, rule, jcol.col)).filter(key => key !== null);
+      if (keys.length > 0) {
+        jsonbKeys[jcol.col] = keys;
+      }
+    } catch (e) {
+      // Column might not be readable, skip
+    }
+  }
+
+  // Clean up column output
+  const columns = cols.rows.map(c => {
+    const col = { col: c.col, type: c.type, nullable: c.nullable };
+    if (c.default) col.default = c.default;
+    if (c.type === 'USER-DEFINED') col.enumType = c.udt;
+    return col;
+  });
+
+  const result = {
+    table: qualifiedName(schema, table),
+    columns,
+    primaryKeys: pks.rows.map(r => r.column_name),
+    size: stats.rows[0]?.size,
+    rowEstimate: stats.rows[0]?.rows || 0
+  };
+
+  // Only include if non-empty
+  if (fks.rows.length > 0) {
+    result.foreignKeys = fks.rows.map(fk => ({
+      col: fk.col,
+      ref_table: qualifiedName(fk.ref_schema, fk.ref_table),
+      ref_col: fk.ref_col
+    }));
+  }
+  if (idxs.rows.length > 0) result.indexes = idxs.rows.map(i => i.indexname);
+  if (Object.keys(enums).length > 0) result.enums = enums;
+  if (Object.keys(jsonbKeys).length > 0) result.jsonbKeys = jsonbKeys;
+
+  return result;
+}
+
+async function handleSampleData(args) {
+  if (!args.table) throw new McpError(ErrorCode.InvalidParams, "table required");
+
+  assertFormat(args.format);
+  const { schema, table } = await resolveTable(args);
+  await assertTableExists(args.table, schema, table);
+
+  const limit = Math.min(Math.max(1, args.limit || 3), 10);
+  const text = `SELECT * FROM ${sqlTableName(schema, table)} LIMIT ${limit}`;
+  noteAudit({ sql: text, table: qualifiedName(schema, table) });
+
+  try {
+    const result = await currentPool().query({ text, types: RAW_TYPES });
+    noteAudit({ rowCount: result.rowCount });
+    const fields = await serializeResult(result);
+
+    // For each JSON/JSONB column, merge the structure of every returned value
+    const jsonbStructures = {};
+    for (const field of fields.filter(f => ['json', 'jsonb'].includes(f.type))) {
+      let shape;
+      for (const row of result.rows) {
+        if (row[field.name] !== null) shape = mergeJsonShape(shape, row[field.name]);
+      }
+      if (shape?.types.object || shape?.types.array) jsonbStructures[field.name] = shapeStructure(shape);
+    }
+
+    const output = {
+      table: qualifiedName(schema, table),
+      rowCount: result.rowCount,
+      rows: result.rows
+    };
+
+    if (Object.keys(jsonbStructures).length > 0) {
+      output.jsonb_structures = jsonbStructures;
+    }
+    output.redacted = appliedRedactions();
+
+    return formatResult(output, { format: args.format, columns: fieldNames(result.fields) });
+  } catch (error) {
+    const enhanced = await enhanceError(error, `SELECT * FROM ${qualifiedName(schema, table)}`);
+    throw new McpError(ErrorCode.InvalidParams, enhanced);
+  }
+}
+
+async function handleSearchSchema(args) {
+  if (!args.pattern) throw new McpError(ErrorCode.InvalidParams, "pattern required");
+
+  const pattern = args.pattern.toLowerCase();
+  const schemas = schemasFor(args);
+
+  // Search tables and columns
+  const result = await currentPool().query(`
+    SELECT
+      t.table_schema,
+      t.table_name,
+      c.column_name,
+      c.data_type,
+      c.udt_name
+    FROM information_schema.tables t
+    JOIN information_schema.columns c ON t.table_name = c.table_name AND t.table_schema = c.table_schema
+    WHERE t.table_schema = ANY($2)
+      AND t.table_type = 'BASE TABLE'
+      AND (
+        LOWER(t.table_name) LIKE $1
+        OR LOWER(c.column_name) LIKE $1
+      )
+    ORDER BY
+      CASE WHEN LOWER(t.table_name) LIKE $1 THEN 0 ELSE 1 END,
+      t.table_schema,
+      t.table_name,
+      c.ordinal_position
+  `, [`%${pattern}%`, schemas]);
+
+  // Group results
+  const matchingTables = new Set();
+  const matchingColumns = [];
+
+  for (const row of result.rows) {
+    const tableName = qualifiedName(row.table_schema, row.table_name);
+    if (row.table_name.toLowerCase().includes(pattern)) {
+      matchingTables.add(tableName);
+    }
+    if (row.column_name.toLowerCase().includes(pattern)) {
+      let type = row.data_type === 'USER-DEFINED' ? row.udt_name : row.data_type;
+      type = type.replace('character varying', 'varchar')
+                 .replace('timestamp with time zone', 'timestamptz');
+      matchingColumns.push(`${tableName}.${row.column_name}(${type})`);
+    }
+  }
+
+  const output = {
+    pattern: args.pattern,
+    matching_tables: [...matchingTables],
+    matching_columns: matchingColumns
+  };
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+// ── Schema snapshots and DDL ──
+// A snapshot is the structure of some schemas read from pg_catalog in one read-only transaction with
+// search_path set to pg_catalog, so pg_get_*def output and type names come out schema-qualified. Objects
+// are keyed by quoted, qualified name rather than oid, so snapshots of different databases compare.
+// get_ddl renders a snapshot with each object after what it needs: types, sequences, functions, tables
+// (foreign key targets first), views, then functions over row types; foreign keys that close a cycle
+// and sequence ownership go last. diff_schema renders the objects it adds the same way.
+
+// Helper: SQL condition limiting a catalog query to schemas ($1) and object oids ($2); null matches all
+function ddlFilter(schemaColumn, oidColumn) {
+  return `($1::text[] IS NULL OR ${schemaColumn} = ANY($1)) AND ($2::oid[] IS NULL OR ${oidColumn} = ANY($2))`;
+}
+
+// Helper: SQL condition excluding objects that belong to an extension
+function notInExtension(catalog, oidColumn) {
+  return `NOT EXISTS (SELECT 1 FROM pg_depend e WHERE e.classid = '${catalog}'::regclass AND e.objid = ${oidColumn} AND e.deptype = 'e')`;
+}
+
+// Helper: Quote a string as an SQL literal (standard_conforming_strings is assumed on)
+function sqlLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Helper: COMMENT ON statement; a null comment removes the comment
+function commentDdl(kind, name, comment) {
+  return `COMMENT ON ${kind} ${name} IS ${comment === null ? 'NULL' : sqlLiteral(comment)};`;
+}
+
+// Helper: Order names so each comes after the names it depends on; cycles keep their input order
+function dependencyOrder(names, dependsOn) {
+  const known = new Set(names);
+  const visited = new Set();
+  const ordered = [];
+  const visit = name => {
+    if (visited.has(name)) return;
+    visited.add(name);
+    for (const dependency of dependsOn(name)) {
+      if (known.has(dependency)) visit(dependency);
+    }
+    ordered.push(name);
+  };
+  names.forEach(visit);
+  return ordered;
+}
+
+const CONSTRAINT_KINDS = { p: 'primary key', u: 'unique', x: 'exclude', c: 'check', f: 'foreign key' };
+
+async function loadSchemaSnapshot(client, params) {
+  const [types, sequences, functions, tables, views] = await Promise.all([
+    client.query(`
+      SELECT format('%I.%I', n.nspname, t.typname) AS name, t.typtype AS kind,
+        ARRAY(SELECT e.enumlabel::text FROM pg_enum e WHERE e.enumtypid = t.oid ORDER BY e.enumsortorder) AS labels,
+        format_type(t.typbasetype, t.typtypmod) AS base_type, t.typnotnull AS not_null, t.typdefault AS default,
+        COALESCE((
+          SELECT json_object_agg(quote_ident(c.conname), pg_get_constraintdef(c.oid) ORDER BY c.conname)
+          FROM pg_constraint c WHERE c.contypid = t.oid AND c.contype = 'c'
+        ), '{}') AS checks,
+        obj_description(t.oid, 'pg_type') AS comment
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE t.typtype IN ('e', 'd') AND ${ddlFilter('n.nspname', 't.oid')} AND ${notInExtension('pg_type', 't.oid')}
+      ORDER BY t.typtype DESC, n.nspname, t.typname
+    `, params),
+
+    // Identity sequences are part of their column; serial sequences are owned by theirs
+    client.query(`
+      SELECT format('%I.%I', n.nspname, c.relname) AS name, format_type(s.seqtypid, NULL) AS type,
+        s.seqincrement AS increment, s.seqmin AS min, s.seqmax AS max, s.seqstart AS start, s.seqcache AS cache, s.seqcycle AS cycle,
+        (SELECT format('%I.%I.%I', tn.nspname, t.relname, a.attname)
+           FROM pg_depend d
+           JOIN pg_class t ON t.oid = d.refobjid
+           JOIN pg_namespace tn ON tn.oid = t.relnamespace
+           JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = d.refobjsubid
+          WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.refclassid = 'pg_class'::regclass AND d.deptype = 'a'
+        ) AS owned_by,
+        obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_sequence s ON s.seqrelid = c.oid
+      WHERE c.relkind = 'S' AND ${ddlFilter('n.nspname', 'c.oid')}
+        AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype IN ('i', 'e'))
+      ORDER BY n.nspname, c.relname
+    `, params),
+
+    // Functions whose signature or SQL body uses a table or view have to wait for it
+    client.query(`
+      SELECT format('%I.%I(%s)', n.nspname, p.proname, pg_get_function_identity_arguments(p.oid)) AS name,
+        p.prokind AS kind, pg_get_functiondef(p.oid) AS definition,
+        EXISTS (
+          SELECT 1 FROM pg_depend d
+          LEFT JOIN pg_type t ON d.refclassid = 'pg_type'::regclass AND t.oid = d.refobjid
+          WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND (d.refclassid = 'pg_class'::regclass OR t.typrelid <> 0)
+        ) AS uses_relations,
+        obj_description(p.oid, 'pg_proc') AS comment
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE p.prokind IN ('f', 'p') AND ${ddlFilter('n.nspname', 'p.oid')} AND ${notInExtension('pg_proc', 'p.oid')}
+      ORDER BY n.nspname, p.proname, p.oid
+    `, params),
+
+    client.query(`
+      SELECT c.oid, format('%I.%I', n.nspname, c.relname) AS name, c.relpersistence AS persistence,
+        c.relispartition AS is_partition, pg_get_partkeydef(c.oid) AS partition_key,
+        pg_get_expr(c.relpartbound, c.oid) AS partition_bound, c.reloptions AS options,
+        CASE WHEN p.oid IS NOT NULL THEN format('%I.%I', pn.nspname, p.relname) END AS parent,
+        obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_inherits i ON i.inhrelid = c.oid AND i.inhseqno = 1
+      LEFT JOIN pg_class p ON p.oid = i.inhparent
+      LEFT JOIN pg_namespace pn ON pn.oid = p.relnamespace
+      WHERE c.relkind IN ('r', 'p') AND ${ddlFilter('n.nspname', 'c.oid')} AND ${notInExtension('pg_class', 'c.oid')}
+      ORDER BY n.nspname, c.relname
+    `, params),
+
+    client.query(`
+      SELECT c.oid, format('%I.%I', n.nspname, c.relname) AS name, c.relkind AS kind,
+        pg_get_viewdef(c.oid) AS definition, c.reloptions AS options,
+        ARRAY(
+          SELECT DISTINCT format('%I.%I', dn.nspname, dc.relname) FROM pg_rewrite r
+          JOIN pg_depend d ON d.classid = 'pg_rewrite'::regclass AND d.objid = r.oid
+          JOIN pg_class dc ON dc.oid = d.refobjid
+          JOIN pg_namespace dn ON dn.oid = dc.relnamespace
+          WHERE r.ev_class = c.oid AND d.refclassid = 'pg_class'::regclass AND d.refobjid <> c.oid
+        ) AS depends_on,
+        obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('v', 'm') AND ${ddlFilter('n.nspname', 'c.oid')} AND ${notInExtension('pg_class', 'c.oid')}
+      ORDER BY n.nspname, c.relname
+    `, params)
+  ]);
+
+  // Columns, constraints and triggers of the tables; indexes of tables and materialized views
+  const tableOids = tables.rows.map(t => t.oid);
+  const indexedOids = [...tableOids, ...views.rows.filter(v => v.kind === 'm').map(v => v.oid)];
+  const [columns, constraints, indexes, triggers] = await Promise.all([
+    client.query(`
+      SELECT a.attrelid AS table_oid, quote_ident(a.attname) AS name, format_type(a.atttypid, a.atttypmod) AS type,
+        a.attnotnull AS not_null, a.attidentity AS identity, a.attgenerated AS generated, a.attislocal AS is_local,
+        pg_get_expr(ad.adbin, ad.adrelid) AS default,
+        CASE WHEN a.attcollation <> t.typcollation THEN format('%I.%I', cn.nspname, co.collname) END AS collation,
+        col_description(a.attrelid, a.attnum) AS comment
+      FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid
+      LEFT JOIN pg_attrdef ad ON ad.adrelid = a.attrelid AND ad.adnum = a.attnum
+      LEFT JOIN pg_collation co ON co.oid = a.attcollation
+      LEFT JOIN pg_namespace cn ON cn.oid = co.collnamespace
+      WHERE a.attrelid = ANY($1) AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attrelid, a.attnum
+    `, [tableOids]),
+
+    // Constraints inherited from a parent or partitioned table are created with it
+    client.query(`
+      SELECT c.conrelid AS table_oid, quote_ident(c.conname) AS name, c.contype AS kind,
+        CASE WHEN r.oid IS NOT NULL THEN format('%I.%I', rn.nspname, r.relname) END AS referenced_table,
+        pg_get_constraintdef(c.oid) AS definition,
+        obj_description(c.oid, 'pg_constraint') AS comment
+      FROM pg_constraint c
+      LEFT JOIN pg_class r ON r.oid = c.confrelid
+      LEFT JOIN pg_namespace rn ON rn.oid = r.relnamespace
+      WHERE c.conrelid = ANY($1) AND c.contype IN ('p', 'u', 'x', 'c', 'f') AND c.conislocal AND c.conparentid = 0
+      ORDER BY c.conrelid, CASE c.contype WHEN 'p' THEN 0 WHEN 'u' THEN 1 WHEN 'x' THEN 2 WHEN 'c' THEN 3 ELSE 4 END, c.conname
+    `, [tableOids]),
+
+    // Indexes backing a constraint come with it; partition indexes come with the parent's index
+    client.query(`
+      SELECT i.indrelid AS table_oid, format('%I.%I', n.nspname, ic.relname) AS name,
+        pg_get_indexdef(i.indexrelid) AS definition,
+        obj_description(i.indexrelid, 'pg_class') AS comment
+      FROM pg_index i
+      JOIN pg_class ic ON ic.oid = i.indexrelid
+      JOIN pg_namespace n ON n.oid = ic.relnamespace
+      WHERE i.indrelid = ANY($1)
+        AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = i.indexrelid AND c.conrelid = i.indrelid AND c.contype IN ('p', 'u', 'x'))
+        AND NOT EXISTS (SELECT 1 FROM pg_inherits h WHERE h.inhrelid = i.indexrelid)
+      ORDER BY i.indrelid, ic.relname
+    `, [indexedOids]),
+
+    client.query(`
+      SELECT t.tgrelid AS table_oid, quote_ident(t.tgname) AS name, pg_get_triggerdef(t.oid) AS definition
+      FROM pg_trigger t
+      WHERE t.tgrelid = ANY($1) AND NOT t.tgisinternal AND t.tgparentid = 0
+      ORDER BY t.tgrelid, t.tgname
+    `, [tableOids])
+  ]);
+
+  const snapshot = { types: {}, sequences: {}, functions: {}, tables: {}, views: {} };
+  for (const t of types.rows) {
+    snapshot.types[t.name] = t.kind === 'e'
+      ? { kind: 'enum', labels: t.labels, comment: t.comment }
+      : { kind: 'domain', baseType: t.base_type, default: t.default, notNull: t.not_null, checks: t.checks, comment: t.comment };
+  }
+  for (const s of sequences.rows) {
+    snapshot.sequences[s.name] = {
+      type: s.type, increment: s.increment, min: s.min, max: s.max, start: s.start, cache: s.cache, cycle: s.cycle,
+      ownedBy: s.owned_by, comment: s.comment
+    };
+  }
+  for (const f of functions.rows) {
+    snapshot.functions[f.name] = { kind: f.kind === 'p' ? 'procedure' : 'function', definition: f.definition, usesRelations: f.uses_relations, comment: f.comment };
+  }
+
+  const relations = new Map();
+  for (const t of tables.rows) {
+    const table = {
+      unlogged: t.persistence === 'u',
+      partitionOf: t.is_partition ? t.parent : null,
+      partitionBound: t.partition_bound,
+      partitionKey: t.partition_key,
+      inherits: t.is_partition ? null : t.parent,
+      options: t.options,
+      comment: t.comment,
+      columns: {},
+      constraints: {},
+      indexes: {},
+      triggers: {}
+    };
+    snapshot.tables[t.name] = table;
+    relations.set(t.oid, table);
+  }
+  for (const v of views.rows) {
+    const view = { materialized: v.kind === 'm', definition: v.definition, options: v.options, dependsOn: v.depends_on, comment: v.comment, indexes: {} };
+    snapshot.views[v.name] = view;
+    relations.set(v.oid, view);
+  }
+
+  for (const c of columns.rows) {
+    relations.get(c.table_oid).columns[c.name] = {
+      type: c.type,
+      notNull: c.not_null,
+      default: c.default,
+      identity: { a: 'always', d: 'by default' }[c.identity] ?? null,
+      generated: { s: 'stored', v: 'virtual' }[c.generated] ?? null,
+      collation: c.collation,
+      inherited: !c.is_local,
+      comment: c.comment
+    };
+  }
+  for (const c of constraints.rows) {
+    relations.get(c.table_oid).constraints[c.name] = { kind: CONSTRAINT_KINDS[c.kind], definition: c.definition, references: c.referenced_table, comment: c.comment };
+  }
+  // pg_get_indexdef writes ON ONLY for partitioned tables; without it the index cascades to partitions
+  for (const i of indexes.rows) {
+    relations.get(i.table_oid).indexes[i.name] = { definition: i.definition.replace(' ON ONLY ', ' ON '), comment: i.comment };
+  }
+  for (const t of triggers.rows) relations.get(t.table_oid).triggers[t.name] = t.definition;
+  return snapshot;
+}
+
+// Helper: Run fn with a client inside a read-only transaction whose search_path is pg_catalog
+async function withCatalogClient(pool, fn) {
+  const client = await pool.connect();
+  let cleanupError = null;
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query('SET LOCAL search_path = pg_catalog');
+    return await fn(client);
+  } finally {
+    await client.query('ROLLBACK').catch(error => { cleanupError = error; });
+    client.release(cleanupError || undefined);
+  }
+}
+
+function columnDdl(name, column) {
+  let ddl = `${name} ${column.type}`;
+  if (column.collation) ddl += ` COLLATE ${column.collation}`;
+  if (column.generated) ddl += ` GENERATED ALWAYS AS (${column.default}) ${column.generated.toUpperCase()}`;
+  else if (column.identity) ddl += ` GENERATED ${column.identity.toUpperCase()} AS IDENTITY`;
+  else if (column.default !== null) ddl += ` DEFAULT ${column.default}`;
+  if (column.notNull) ddl += ' NOT NULL';
+  return ddl;
+}
+
+function typeDdl(name, type) {
+  const statements = [];
+  if (type.kind === 'enum') {
+    statements.push(`CREATE TYPE ${name} AS ENUM (${type.labels.map(sqlLiteral).join(', ')});`);
+  } else {
+    let ddl = `CREATE DOMAIN ${name} AS ${type.baseType}`;
+    if (type.default !== null) ddl += ` DEFAULT ${type.default}`;
+    if (type.notNull) ddl += ' NOT NULL';
+    for (const [check, definition] of Object.entries(type.checks)) ddl += ` CONSTRAINT ${check} ${definition}`;
+    statements.push(`${ddl};`);
+  }
+  if (type.comment) statements.push(commentDdl(type.kind === 'enum' ? 'TYPE' : 'DOMAIN', name, type.comment));
+  return statements;
+}
+
+function sequenceDdl(name, sequence) {
+  const statements = [
+    `CREATE SEQUENCE ${name} AS ${sequence.type} INCREMENT BY ${sequence.increment} MINVALUE ${sequence.min} MAXVALUE ${sequence.max} START WITH ${sequence.start} CACHE ${sequence.cache}${sequence.cycle ? ' CYCLE' : ''};`
+  ];
+  if (sequence.comment) statements.push(commentDdl('SEQUENCE', name, sequence.comment));
+  return statements;
+}
+
+function functionDdl(name, fn) {
+  const statements = [`${fn.definition.trim()};`];
+  if (fn.comment) statements.push(commentDdl(fn.kind.toUpperCase(), name, fn.comment));
+  return statements;
+}
+
+function indexDdl(indexes) {
+  const statements = Object.values(indexes).map(index => `${index.definition};`);
+  for (const [name, index] of Object.entries(indexes)) {
+    if (index.comment) statements.push(commentDdl('INDEX', name, index.comment));
+  }
+  return statements;
+}
+
+// Foreign keys to a table that is still to be created are returned in deferred, for ALTER TABLE later
+function tableDdl(name, table, pending) {
+  const deferred = [];
+  const elements = [];
+
+  // Partitions take their columns from the parent; inheritance children only list their own
+  if (!table.partitionOf) {
+    for (const [column, definition] of Object.entries(table.columns)) {
+      if (!definition.inherited) elements.push(columnDdl(column, definition));
+    }
+  }
+  for (const [constraint, definition] of Object.entries(table.constraints)) {
+    if (definition.references && definition.references !== name && pending.has(definition.references)) {
+      deferred.push(`ALTER TABLE ${name} ADD CONSTRAINT ${constraint} ${definition.definition};`);
+    } else {
+      elements.push(`CONSTRAINT ${constraint} ${definition.definition}`);
+    }
+  }
+
+  const body = elements.length > 0 ? ` (\n    ${elements.join(',\n    ')}\n)` : table.partitionOf ? '' : ' ()';
+  let ddl = `CREATE ${table.unlogged ? 'UNLOGGED ' : ''}TABLE ${name}`;
+  ddl += table.partitionOf ? ` PARTITION OF ${table.partitionOf}${body} ${table.partitionBound}` : body;
+  if (table.inherits) ddl += ` INHERITS (${table.inherits})`;
+  if (table.partitionKey) ddl += ` PARTITION BY ${table.partitionKey}`;
+  if (table.options) ddl += ` WITH (${table.options.join(', ')})`;
+
+  const statements = [`${ddl};`, ...indexDdl(table.indexes), ...Object.values(table.triggers).map(trigger => `${trigger};`)];
+  if (table.comment) statements.push(commentDdl('TABLE', name, table.comment));
+  for (const [column, definition] of Object.entries(table.columns)) {
+    if (definition.comment && !definition.inherited) statements.push(commentDdl('COLUMN', `${name}.${column}`, definition.comment));
+  }
+  for (const [constraint, definition] of Object.entries(table.constraints)) {
+    if (definition.comment) statements.push(commentDdl('CONSTRAINT', `${constraint} ON ${name}`, definition.comment));
+  }
+  return { statements, deferred };
+}
+
+function viewDdl(name, view) {
+  const options = view.options ? ` WITH (${view.options.join(', ')})` : '';
+  const query = view.definition.trim().replace(/;$/, '');
+  const statements = [`CREATE ${view.materialized ? 'MATERIALIZED ' : ''}VIEW ${name}${options} AS\n${query}${view.materialized ? '\nWITH NO DATA' : ''};`];
+  statements.push(...indexDdl(view.indexes));
+  if (view.comment) statements.push(commentDdl(view.materialized ? 'MATERIALIZED VIEW' : 'VIEW', name, view.comment));
+  return statements;
+}
+
+// Helper: CREATE TABLE statements for the named tables, each after the tables it needs
+function tablesDdl(tables, names) {
+  const pending = new Set(names);
+  const created = [];
+  const deferred = [];
+  const order = dependencyOrder(names, name =>
+    [tables[name].partitionOf, tables[name].inherits, ...Object.values(tables[name].constraints).map(c => c.references)]);
+  for (const name of order) {
+    const ddl = tableDdl(name, tables[name], pending);
+    pending.delete(name);
+    deferred.push(...ddl.deferred);
+    created.push({ name, statements: ddl.statements });
+  }
+  return { created, deferred };
+}
+
+// Helper: The snapshot as one script, in dependency order
+function ddlScript(snapshot) {
+  const sections = [];
+  const add = (label, statements) => sections.push(`-- ${label}\n${statements.join('\n')}`);
+  const functions = Object.entries(snapshot.functions);
+  const functionLabel = (name, fn) => `${fn.kind === 'procedure' ? 'Procedure' : 'Function'}: ${name}`;
+
+  for (const [name, type] of Object.entries(snapshot.types)) add(`${type.kind === 'enum' ? 'Type' : 'Domain'}: ${name}`, typeDdl(name, type));
+  for (const [name, sequence] of Object.entries(snapshot.sequences)) add(`Sequence: ${name}`, sequenceDdl(name, sequence));
+  for (const [name, fn] of functions.filter(([, fn]) => !fn.usesRelations)) add(functionLabel(name, fn), functionDdl(name, fn));
+
+  const { created, deferred } = tablesDdl(snapshot.tables, Object.keys(snapshot.tables));
+  for (const table of created) add(`Table: ${table.name}`, table.statements);
+
+  for (const name of dependencyOrder(Object.keys(snapshot.views), name => snapshot.views[name].dependsOn)) {
+    const view = snapshot.views[name];
+    add(`${view.materialized ? 'Materialized view' : 'View'}: ${name}`, viewDdl(name, view));
+  }
+  for (const [name, fn] of functions.filter(([, fn]) => fn.usesRelations)) add(functionLabel(name, fn), functionDdl(name, fn));
+
+  if (deferred.length > 0) add('Foreign keys between tables that reference each other', deferred);
+  const owned = Object.entries(snapshot.sequences).filter(([, sequence]) => sequence.ownedBy);
+  if (owned.length > 0) add('Sequence ownership', owned.map(([name, sequence]) => `ALTER SEQUENCE ${name} OWNED BY ${sequence.ownedBy};`));
+
+  return sections.join('\n\n');
+}
+
+// Helper: Oids get_ddl covers for one named object. Tables bring their partitions (or inheritance
+// children), the sequences their defaults use and the enum and domain types of their columns.
+async function ddlObjectOids(client, args) {
+  const ref = parseTableRef(args.object);
+  const schemas = ref.schema ? [ref.schema] : schemasFor(args);
+  const result = await client.query(`
+    SELECT n.nspname AS schema, o.oid, o.kind
+    FROM (
+      SELECT c.oid, c.relnamespace AS namespace, c.relkind::text AS kind FROM pg_class c WHERE c.relname = $1 AND c.relkind IN ('r', 'p', 'v', 'm', 'S')
+      UNION ALL
+      SELECT t.oid, t.typnamespace, 'type' FROM pg_type t WHERE t.typname = $1 AND t.typtype IN ('e', 'd')
+      UNION ALL
+      SELECT p.oid, p.pronamespace, 'function' FROM pg_proc p WHERE p.proname = $1 AND p.prokind IN ('f', 'p')
+    ) o
+    JOIN pg_namespace n ON n.oid = o.namespace
+    WHERE n.nspname = ANY($2)
+  `, [ref.table, schemas]);
+
+  const schema = schemas.find(s => result.rows.some(row => row.schema === s));
+  if (!schema) {
+    const { tables } = await getSchemaCache();
+    const suggestions = findSimilar(args.object, tableCandidates(tables, args.object));
+    throw new McpError(ErrorCode.InvalidParams,
+      `Object "${args.object}" not found in ${schemas.join(', ')}\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}`);
+  }
+
+  const matches = result.rows.filter(row => row.schema === schema);
+  const tableOids = matches.filter(m => m.kind === 'r' || m.kind === 'p').map(m => m.oid);
+  if (tableOids.length === 0) return matches.map(m => m.oid);
+
+  const related = await client.query(`
+    WITH RECURSIVE parts(oid) AS (
+      SELECT unnest($1::oid[])
+      UNION
+      SELECT i.inhrelid FROM pg_inherits i JOIN parts p ON i.inhparent = p.oid
+    )
+    SELECT ARRAY(
+      SELECT oid FROM parts
+      UNION
+      SELECT d.refobjid FROM pg_attrdef ad
+      JOIN pg_depend d ON d.classid = 'pg_attrdef'::regclass AND d.objid = ad.oid AND d.refclassid = 'pg_class'::regclass
+      WHERE ad.adrelid IN (SELECT oid FROM parts)
+      UNION
+      SELECT t.oid FROM pg_attribute a
+      JOIN pg_type t ON t.oid = a.atttypid OR t.typarray = a.atttypid
+      WHERE a.attrelid IN (SELECT oid FROM parts) AND a.attnum > 0 AND t.typtype IN ('e', 'd')
+    ) AS oids
+  `, [tableOids]);
+  return [...new Set([...matches.map(m => m.oid), ...related.rows[0].oids])];
+}
+
+async function handleGetDdl(args) {
+  try {
+    const schemas = args.object ? null : schemasFor(args);
+    const script = await withCatalogClient(currentPool(), async client => {
+      const oids = args.object ? await ddlObjectOids(client, args) : null;
+      return ddlScript(await loadSchemaSnapshot(client, [schemas, oids]));
+    });
+    const scope = args.object ? `Object: ${args.object}` : `Schema${schemas.length > 1 ? 's' : ''}: ${schemas.join(', ')}`;
+
+    return {
+      content: [{
+        type: "text",
+        text: `-- ${scope}\n\n${script || '-- No tables, views, sequences, functions or types found'}\n`
+      }]
+    };
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    throw new McpError(ErrorCode.InvalidParams, `Failed to generate DDL: ${error.message}`);
+  }
+}
+
+// ── Schema diff ──
+// snapshot_schema saves a snapshot as JSON in SNAPSHOT_DIR. diff_schema compares two sources, each a
+// saved snapshot or a live connection ("live" for the one in use, "live:<name>" for another), and
+// suggests statements that turn the first into the second.
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_NAME = /^[a-zA-Z0-9][a-zA-Z0-9_.-]{0,127}$/;
+const SNAPSHOT_SECTIONS = ['tables', 'views', 'types', 'sequences', 'functions'];
+
+// Helper: File of a named snapshot. Names are bare file names, so snapshots stay in SNAPSHOT_DIR
+function snapshotFile(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name) || name === 'live') {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Invalid snapshot name "${name}". Use up to 128 letters, digits, _, . and -, starting with a letter or digit ("live" is reserved)`);
+  }
+  return join(SNAPSHOT_DIR, `${name}.json`);
+}
+
+async function listSnapshots() {
+  try {
+    const files = await readdir(SNAPSHOT_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function readSnapshot(name) {
+  let text;
+  try {
+    text = await readFile(snapshotFile(name), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const available = await listSnapshots();
+    throw new McpError(ErrorCode.InvalidParams,
+      `Snapshot "${name}" not found in ${SNAPSHOT_DIR}. Available: ${available.length > 0 ? available.join(', ') : '(none)'}`);
+  }
+  const snapshot = JSON.parse(text);
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new McpError(ErrorCode.InvalidParams, `Snapshot "${name}" has format version ${snapshot.version}; expected ${SNAPSHOT_VERSION}`);
+  }
+  return snapshot;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Helper: Names only in after, only in before, and in both
+function compareNames(before = {}, after = {}) {
+  return {
+    added: Object.keys(after).filter(name => !Object.hasOwn(before, name)),
+    removed: Object.keys(before).filter(name => !Object.hasOwn(after, name)),
+    kept: Object.keys(after).filter(name => Object.hasOwn(before, name))
+  };
+}
+
+const MIGRATION_STEPS = [
+  ['drop', 'Drop views, triggers, constraints and indexes that are removed or rebuilt'],
+  ['create', 'Types, sequences and functions'],
+  ['tables', 'New tables'],
+  ['alter', 'Changed tables'],
+  ['views', 'Views'],
+  ['late', 'Functions over tables, and triggers'],
+  ['keys', 'Foreign keys and sequence ownership'],
+  ['cleanup', 'Drop removed tables, sequences, functions and types']
+];
+
+// Helper: Objects added, removed and changed from one snapshot to the next, and a migration that turns
+// the first into the second. Statements go in MIGRATION_STEPS order, so nothing is created before what
+// it needs or dropped while something still uses it. What has no safe statement is a "-- Manual:" note.
+function diffSnapshots(from, to) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const steps = Object.fromEntries(MIGRATION_STEPS.map(([step]) => [step, []]));
+  const comment = (kind, name, before, after, changes) => {
+    if ((before.comment ?? null) === (after.comment ?? null)) return;
+    changes.push('comment changed');
+    steps.alter.push(commentDdl(kind, name, after.comment ?? null));
+  };
+  const report = (kind, name, changes) => {
+    if (changes.length > 0) changed.push({ kind, name, changes });
+  };
+
+  const types = compareNames(from.types, to.types);
+  for (const name of types.added) {
+    added.push({ kind: to.types[name].kind, name });
+    steps.create.push(...typeDdl(name, to.types[name]));
+  }
+  for (const name of types.removed) {
+    removed.push({ kind: from.types[name].kind, name });
+    steps.cleanup.push(`DROP ${from.types[name].kind === 'enum' ? 'TYPE' : 'DOMAIN'} ${name};`);
+  }
+  for (const name of types.kept) {
+    const [before, after] = [from.types[name], to.types[name]];
+    const changes = [];
+    if (before.kind !== after.kind) {
+      changes.push(`${before.kind} → ${after.kind}`);
+      steps.create.push(`-- Manual: ${name} changed from ${before.kind} to ${after.kind}; recreate it and the columns that use it`);
+    } else if (after.kind === 'enum') {
+      // New values go in their place: after the value before them, else before the first existing one
+      after.labels.forEach((label, i) => {
+        if (before.labels.includes(label)) return;
+        const next = after.labels.find(l => before.labels.includes(l));
+        const position = i > 0 ? ` AFTER ${sqlLiteral(after.labels[i - 1])}` : next !== undefined ? ` BEFORE ${sqlLiteral(next)}` : '';
+        changes.push(`value ${sqlLiteral(label)} added`);
+        steps.create.push(`ALTER TYPE ${name} ADD VALUE ${sqlLiteral(label)}${position};`);
+      });
+      for (const label of before.labels.filter(l => !after.labels.includes(l))) {
+        changes.push(`value ${sqlLiteral(label)} removed`);
+        steps.create.push(`-- Manual: enum values cannot be dropped; recreate ${name} without ${sqlLiteral(label)}`);
+      }
+    } else {
+      if (before.baseType !== after.baseType) {
+        changes.push(`base type ${before.baseType} → ${after.baseType}`);
+        steps.create.push(`-- Manual: ${name} changed from ${before.baseType} to ${after.baseType}; recreate it and the columns that use it`);
+      }
+      if (before.default !== after.default) {
+        changes.push(`default ${before.default ?? '(none)'} → ${after.default ?? '(none)'}`);
+        steps.create.push(`ALTER DOMAIN ${name} ${after.default === null ? 'DROP DEFAULT' : `SET DEFAULT ${after.default}`};`);
+      }
+      if (before.notNull !== after.notNull) {
+        changes.push(after.notNull ? 'now NOT NULL' : 'now nullable');
+        steps.create.push(`ALTER DOMAIN ${name} ${after.notNull ? 'SET' : 'DROP'} NOT NULL;`);
+      }
+      const checks = compareNames(before.checks, after.checks);
+      const rebuilt = checks.kept.filter(check => before.checks[check] !== after.checks[check]);
+      for (const check of [...checks.removed, ...rebuilt]) {
+        if (!rebuilt.includes(check)) changes.push(`check ${check} removed`);
+        steps.drop.push(`ALTER DOMAIN ${name} DROP CONSTRAINT ${check};`);
+      }
+      for (const check of [...checks.added, ...rebuilt]) {
+        changes.push(`check ${check} ${rebuilt.includes(check) ? 'changed' : 'added'}`);
+        steps.create.push(`ALTER DOMAIN ${name} ADD CONSTRAINT ${check} ${after.checks[check]};`);
+      }
+    }
+    comment(after.kind === 'enum' ? 'TYPE' : 'DOMAIN', name, before, after, changes);
+    report(after.kind, name, changes);
+  }
+
+  const sequences = compareNames(from.sequences, to.sequences);
+  for (const name of sequences.added) {
+    const sequence = to.sequences[name];
+    added.push({ kind: 'sequence', name });
+    steps.create.push(...sequenceDdl(name, sequence));
+    if (sequence.ownedBy) steps.keys.push(`ALTER SEQUENCE ${name} OWNED BY ${sequence.ownedBy};`);
+  }
+  // A sequence owned by a dropped table goes with it
+  for (const name of sequences.removed) {
+    removed.push({ kind: 'sequence', name });
+    steps.cleanup.push(`DROP SEQUENCE ${from.sequences[name].ownedBy ? 'IF EXISTS ' : ''}${name};`);
+  }
+  for (const name of sequences.kept) {
+    const [before, after] = [from.sequences[name], to.sequences[name]];
+    const changes = [];
+    const clauses = [];
+    for (const [key, clause] of [['type', 'AS'], ['increment', 'INCREMENT BY'], ['min', 'MINVALUE'], ['max', 'MAXVALUE'], ['start', 'START WITH'], ['cache', 'CACHE']]) {
+      if (before[key] === after[key]) continue;
+      changes.push(`${key} ${before[key]} → ${after[key]}`);
+      clauses.push(`${clause} ${after[key]}`);
+    }
+    if (before.cycle !== after.cycle) {
+      changes.push(after.cycle ? 'now cycles' : 'no longer cycles');
+      clauses.push(after.cycle ? 'CYCLE' : 'NO CYCLE');
+    }
+    if (clauses.length > 0) steps.create.push(`ALTER SEQUENCE ${name} ${clauses.join(' ')};`);
+    if (before.ownedBy !== after.ownedBy) {
+      changes.push(`owner ${before.ownedBy ?? '(none)'} → ${after.ownedBy ?? '(none)'}`);
+      steps.keys.push(`ALTER SEQUENCE ${name} OWNED BY ${after.ownedBy ?? 'NONE'};`);
+    }
+    comment('SEQUENCE', name, before, after, changes);
+    report('sequence', name, changes);
+  }
+
+  const functions = compareNames(from.functions, to.functions);
+  for (const name of functions.added) {
+    const fn = to.functions[name];
+    added.push({ kind: fn.kind, name });
+    steps[fn.usesRelations ? 'late' : 'create'].push(...functionDdl(name, fn));
+  }
+  for (const name of functions.removed) {
+    removed.push({ kind: from.functions[name].kind, name });
+    steps.cleanup.push(`DROP ${from.functions[name].kind.toUpperCase()} ${name};`);
+  }
+  for (const name of functions.kept) {
+    const [before, after] = [from.functions[name], to.functions[name]];
+    const changes = [];
+    if (before.definition !== after.definition) {
+      changes.push('definition changed');
+      steps[after.usesRelations ? 'late' : 'create'].push(`${after.definition.trim()};`);
+    }
+    comment(after.kind.toUpperCase(), name, before, after, changes);
+    report(after.kind, name, changes);
+  }
+
+  // Indexes of a table or materialized view; a changed index is dropped and created again
+  const diffIndexes = (before, after, changes) => {
+    const indexes = compareNames(before, after);
+    const rebuilt = indexes.kept.filter(index => before[index].definition !== after[index].definition);
+    for (const index of [...indexes.removed, ...rebuilt]) {
+      if (!rebuilt.includes(index)) changes.push(`index ${index} removed`);
+      steps.drop.push(`DROP INDEX ${index};`);
+    }
+    for (const index of [...indexes.added, ...rebuilt]) {
+      changes.push(`index ${index} ${rebuilt.includes(index) ? 'changed' : 'added'}`);
+      steps.alter.push(`${after[index].definition};`);
+      if (after[index].comment) steps.alter.push(commentDdl('INDEX', index, after[index].comment));
+    }
+    for (const index of indexes.kept.filter(index => !rebuilt.includes(index))) {
+      comment('INDEX', index, before[index], after[index], changes);
+    }
+  };
+
+  const tables = compareNames(from.tables, to.tables);
+  const { created, deferred } = tablesDdl(to.tables, tables.added);
+  for (const table of created) steps.tables.push(...table.statements);
+  steps.keys.push(...deferred);
+  added.push(...tables.added.map(name => ({ kind: 'table', name })));
+  removed.push(...tables.removed.map(name => ({ kind: 'table', name })));
+
+  // Dependents go before what they need; partitions go with their parent
+  const dropOrder = dependencyOrder(tables.removed, name =>
+    [from.tables[name].partitionOf, from.tables[name].inherits, ...Object.values(from.tables[name].constraints).map(c => c.references)]).reverse();
+  for (const name of dropOrder) {
+    if (!tables.removed.includes(from.tables[name].partitionOf)) steps.cleanup.push(`DROP TABLE ${name};`);
+  }
+
+  for (const name of tables.kept) {
+    const [before, after] = [from.tables[name], to.tables[name]];
+    const changes = [];
+    const alter = action => `ALTER TABLE ${name} ${action};`;
+
+    for (const [key, label] of [['partitionOf', 'partition parent'], ['partitionBound', 'partition bounds'], ['partitionKey', 'partition key'], ['inherits', 'parent table']]) {
+      if (before[key] === after[key]) continue;
+      changes.push(`${label} ${before[key] ?? '(none)'} → ${after[key] ?? '(none)'}`);
+      steps.alter.push(`-- Manual: the ${label} of ${name} changed; recreate the table or attach and detach it by hand`);
+    }
+    if (before.unlogged !== after.unlogged) {
+      changes.push(after.unlogged ? 'now unlogged' : 'now logged');
+      steps.alter.push(alter(after.unlogged ? 'SET UNLOGGED' : 'SET LOGGED'));
+    }
+    if (!sameValue(before.options, after.options)) {
+      changes.push(`storage options ${(before.options ?? []).join(', ') || '(none)'} → ${(after.options ?? []).join(', ') || '(none)'}`);
+      const kept = (after.options ?? []).map(option => option.split('=')[0]);
+      const reset = (before.options ?? []).map(option => option.split('=')[0]).filter(option => !kept.includes(option));
+      if (reset.length > 0) steps.alter.push(alter(`RESET (${reset.join(', ')})`));
+      if (after.options) steps.alter.push(alter(`SET (${after.options.join(', ')})`));
+    }
+
+    // Inherited columns (all of a partition's) change with the parent
+    const columns = compareNames(before.columns, after.columns);
+    for (const column of columns.added.filter(column => !after.columns[column].inherited)) {
+      changes.push(`column ${column} added`);
+      steps.alter.push(alter(`ADD COLUMN ${columnDdl(column, after.columns[column])}`));
+      if (after.columns[column].comment) steps.alter.push(commentDdl('COLUMN', `${name}.${column}`, after.columns[column].comment));
+    }
+    for (const column of columns.removed.filter(column => !before.columns[column].inherited)) {
+      changes.push(`column ${column} removed`);
+      steps.alter.push(alter(`DROP COLUMN ${column}`));
+    }
+    for (const column of columns.kept.filter(column => !after.columns[column].inherited)) {
+      const [was, now] = [before.columns[column], after.columns[column]];
+      const action = `ALTER COLUMN ${column}`;
+      if (was.type !== now.type || was.collation !== now.collation) {
+        changes.push(`column ${column} type ${was.type} → ${now.type}${now.collation && now.collation !== was.collation ? ` COLLATE ${now.collation}` : ''}`);
+        steps.alter.push(alter(`${action} TYPE ${now.type}${now.collation ? ` COLLATE ${now.collation}` : ''} USING ${column}::${now.type}`));
+      }
+      if (was.notNull !== now.notNull) {
+        changes.push(`column ${column} ${now.notNull ? 'now NOT NULL' : 'now nullable'}`);
+        steps.alter.push(alter(`${action} ${now.notNull ? 'SET' : 'DROP'} NOT NULL`));
+      }
+      if (was.generated || now.generated) {
+        if (was.generated !== now.generated || was.default !== now.default) {
+          changes.push(`column ${column} generation changed`);
+          steps.alter.push(`-- Manual: generated column ${name}.${column} changed; drop it and add it again`);
+        }
+      } else {
+        if (was.identity !== now.identity) {
+          changes.push(`column ${column} identity ${was.identity ?? '(none)'} → ${now.identity ?? '(none)'}`);
+          const identity = !now.identity ? 'DROP IDENTITY'
+            : !was.identity ? `ADD GENERATED ${now.identity.toUpperCase()} AS IDENTITY`
+            : `SET GENERATED ${now.identity.toUpperCase()}`;
+          steps.alter.push(alter(`${action} ${identity}`));
+        }
+        if (was.default !== now.default) {
+          changes.push(`column ${column} default ${was.default ?? '(none)'} → ${now.default ?? '(none)'}`);
+          steps.alter.push(alter(`${action} ${now.default === null ? 'DROP DEFAULT' : `SET DEFAULT ${now.default}`}`));
+        }
+      }
+      if ((was.comment ?? null) !== (now.comment ?? null)) {
+        changes.push(`column ${column} comment changed`);
+        steps.alter.push(commentDdl('COLUMN', `${name}.${column}`, now.comment ?? null));
+      }
+    }
+
+    // A changed constraint is dropped and added again; foreign keys wait until every table is in place
+    const constraints = compareNames(before.constraints, after.constraints);
+    const rebuilt = constraints.kept.filter(c => before.constraints[c].definition !== after.constraints[c].definition);
+    for (const constraint of [...constraints.removed, ...rebuilt]) {
+      if (!rebuilt.includes(constraint)) changes.push(`constraint ${constraint} removed`);
+      steps.drop.push(alter(`DROP CONSTRAINT ${constraint}`));
+    }
+    for (const constraint of [...constraints.added, ...rebuilt]) {
+      const definition = after.constraints[constraint];
+      changes.push(`constraint ${constraint} ${rebuilt.includes(constraint) ? 'changed' : 'added'}`);
+      steps[definition.references ? 'keys' : 'alter'].push(alter(`ADD CONSTRAINT ${constraint} ${definition.definition}`));
+      if (definition.comment) steps.keys.push(commentDdl('CONSTRAINT', `${constraint} ON ${name}`, definition.comment));
+    }
+    for (const constraint of constraints.kept.filter(c => !rebuilt.includes(c))) {
+      const [was, now] = [before.constraints[constraint], after.constraints[constraint]];
+      if ((was.comment ?? null) === (now.comment ?? null)) continue;
+      changes.push(`constraint ${constraint} comment changed`);
+      steps.alter.push(commentDdl('CONSTRAINT', `${constraint} ON ${name}`, now.comment ?? null));
+    }
+
+    diffIndexes(before.indexes, after.indexes, changes);
+
+    const triggers = compareNames(before.triggers, after.triggers);
+    const replaced = triggers.kept.filter(trigger => before.triggers[trigger] !== after.triggers[trigger]);
+    for (const trigger of [...triggers.removed, ...replaced]) {
+      if (!replaced.includes(trigger)) changes.push(`trigger ${trigger} removed`);
+      steps.drop.push(`DROP TRIGGER ${trigger} ON ${name};`);
+    }
+    for (const trigger of [...triggers.added, ...replaced]) {
+      changes.push(`trigger ${trigger} ${replaced.includes(trigger) ? 'changed' : 'added'}`);
+      steps.late.push(`${after.triggers[trigger]};`);
+    }
+
+    comment('TABLE', name, before, after, changes);
+    report('table', name, changes);
+  }
+
+  // Materialized views cannot be replaced in place, so a changed one is dropped and created again.
+  // Views that go are dropped before what they read; all views are created after what they read.
+  const viewKind = view => view.materialized ? 'materialized view' : 'view';
+  const views = compareNames(from.views, to.views);
+  const recreated = views.kept.filter(name => {
+    const [before, after] = [from.views[name], to.views[name]];
+    return before.materialized !== after.materialized
+      || (after.materialized && (before.definition !== after.definition || !sameValue(before.options, after.options)));
+  });
+  removed.push(...views.removed.map(name => ({ kind: viewKind(from.views[name]), name })));
+  for (const name of dependencyOrder([...views.removed, ...recreated], name => from.views[name].dependsOn).reverse()) {
+    steps.drop.push(`DROP ${from.views[name].materialized ? 'MATERIALIZED VIEW' : 'VIEW'} ${name};`);
+  }
+  for (const name of dependencyOrder(Object.keys(to.views), name => to.views[name].dependsOn)) {
+    const after = to.views[name];
+    if (views.added.includes(name)) {
+      added.push({ kind: viewKind(after), name });
+      steps.views.push(...viewDdl(name, after));
+      continue;
+    }
+    const before = from.views[name];
+    const changes = [];
+    if (recreated.includes(name)) {
+      changes.push(before.materialized !== after.materialized ? `${viewKind(before)} → ${viewKind(after)}` : 'definition changed');
+      steps.views.push(...viewDdl(name, after));
+    } else {
+      if (before.definition !== after.definition || !sameValue(before.options, after.options)) {
+        changes.push('definition changed');
+        steps.views.push(viewDdl(name, after)[0].replace(/^CREATE VIEW/, 'CREATE OR REPLACE VIEW'));
+      }
+      diffIndexes(before.indexes ?? {}, after.indexes ?? {}, changes);
+      comment(after.materialized ? 'MATERIALIZED VIEW' : 'VIEW', name, before, after, changes);
+    }
+    report(viewKind(after), name, changes);
+  }
+
+  const migration = MIGRATION_STEPS
+    .filter(([step]) => steps[step].length > 0)
+    .map(([step, label]) => `-- ${label}\n${steps[step].join('\n')}`)
+    .join('\n\n');
+  return { added, removed, changed, migration };
+}
+
+async function handleSnapshotSchema(args) {
+  const connection = currentConnection();
+  const schemas = schemasFor(args);
+  const takenAt = new Date().toISOString();
+  const name = args.name ?? `${connection.name}-${takenAt.replace(/[:.]/g, '-')}`;
+  const file = snapshotFile(name);
+
+  let snapshot;
+  try {
+    snapshot = {
+      version: SNAPSHOT_VERSION,
+      takenAt,
+      connection: connection.name,
+      target: connection.target,
+      schemas,
+      ...await withCatalogClient(connection.pool, client => loadSchemaSnapshot(client, [schemas, null]))
+    };
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Failed to snapshot schema: ${error.message}`);
+  }
+
+  // wx: an existing snapshot is never overwritten
+  await mkdir(SNAPSHOT_DIR, { recursive: true, mode: 0o700 });
+  try {
+    await writeFile(file, `${JSON.stringify(snapshot, null, 2)}\n`, { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if (error.code === 'EEXIST') throw new McpError(ErrorCode.InvalidParams, `Snapshot "${name}" already exists. Choose another name`);
+    throw error;
+  }
+
+  const output = {
+    name,
+    file,
+    connection: connection.name,
+    schemas,
+    taken_at: takenAt,
+    counts: Object.fromEntries(SNAPSHOT_SECTIONS.map(section => [section, Object.keys(snapshot[section]).length]))
+  };
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+async function handleDiffSchema(args) {
+  if (!args.from) throw new McpError(ErrorCode.InvalidParams, "from required");
+  const sources = [args.from, args.to ?? 'live'];
+  const isLive = source => source === 'live' || source.startsWith('live:');
+
+  try {
+    const snapshots = await Promise.all(sources.map(source => isLive(source) ? null : readSnapshot(source)));
+    const labels = [...sources];
+
+    // A live source reads the schemas asked for, else those of the snapshot it is compared with
+    const schemas = args.schema ? schemasFor(args) : snapshots.find(Boolean)?.schemas;
+    for (const [i, source] of sources.entries()) {
+      if (snapshots[i]) continue;
+      const connection = source === 'live' ? currentConnection() : getConnection(source.slice('live:'.length));
+      const liveSchemas = schemas ?? connection.schemas;
+      labels[i] = `live:${connection.name}`;
+      snapshots[i] = {
+        schemas: liveSchemas,
+        ...await withCatalogClient(connection.pool, client => loadSchemaSnapshot(client, [liveSchemas, null]))
+      };
+    }
+
+    const diff = diffSnapshots(snapshots[0], snapshots[1]);
+    const output = {
+      from: labels[0],
+      to: labels[1],
+      schemas: { from: snapshots[0].schemas, to: snapshots[1].schemas },
+      summary: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length },
+      added: diff.added,
+      removed: diff.removed,
+      changed: diff.changed
+    };
+    const migration = diff.migration
+      ? `-- Suggested migration from ${labels[0]} to ${labels[1]}. Review it before running: drops lose data,\n-- and "-- Manual:" lines need a hand-written step.\n\n${diff.migration}\n`
+      : `-- No differences between ${labels[0]} and ${labels[1]}\n`;
+
+    return {
+      content: [
+        { type: "text", text: JSON.stringify(output, null, 2) },
+        { type: "text", text: migration }
+      ]
+    };
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    throw new McpError(ErrorCode.InvalidParams, `Failed to diff schemas: ${error.message}`);
+  }
+}
+
+// ── ER diagrams ──
+// er_diagram draws the foreign key graph of the searched schemas, of chosen tables, or of the tables
+// within some hops of a focus table. Cardinality comes from the catalog: a referenced row is required
+// ("exactly one") when every foreign key column is NOT NULL, and a referenced row has at most one
+// referencing row when a unique index covers the foreign key columns.
+
+// Helper: Tables (partitions fold into their parent) and foreign keys of every user schema
+async function loadForeignKeyGraph() {
+  const [tables, foreignKeys] = await Promise.all([
+    currentPool().query(`
+      SELECT c.oid, n.nspname AS schema, c.relname AS name, format('%I.%I', n.nspname, c.relname) AS sql_name
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p') AND NOT c.relispartition
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema') AND n.nspname NOT LIKE 'pg_toast%' AND n.nspname NOT LIKE 'pg_temp%'
+      ORDER BY n.nspname, c.relname
+    `),
+
+    // identifying: the key is part of the referencing table's primary key
+    currentPool().query(`
+      SELECT con.conname AS name, con.conrelid AS from_oid, con.confrelid AS to_oid,
+        ARRAY(SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY k(attnum, i)
+              JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.i) AS columns,
+        ARRAY(SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY k(attnum, i)
+              JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.i) AS ref_columns,
+        ARRAY(SELECT quote_ident(a.attname) FROM unnest(con.conkey) WITH ORDINALITY k(attnum, i)
+              JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.i) AS sql_columns,
+        ARRAY(SELECT quote_ident(a.attname) FROM unnest(con.confkey) WITH ORDINALITY k(attnum, i)
+              JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.i) AS sql_ref_columns,
+        NOT EXISTS (SELECT 1 FROM pg_attribute a WHERE a.attrelid = con.conrelid AND a.attnum = ANY(con.conkey) AND NOT a.attnotnull) AS required,
+        EXISTS (SELECT 1 FROM pg_index i WHERE i.indrelid = con.conrelid AND i.indisunique AND i.indpred IS NULL AND i.indexprs IS NULL
+                AND i.indkey::int2[] <@ con.conkey) AS unique,
+        EXISTS (SELECT 1 FROM pg_index i WHERE i.indrelid = con.conrelid AND i.indisprimary AND con.conkey <@ i.indkey::int2[]) AS identifying
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      WHERE con.contype = 'f' AND con.conparentid = 0 AND NOT c.relispartition
+      ORDER BY con.conrelid, con.conname
+    `)
+  ]);
+  return { tables: tables.rows, foreignKeys: foreignKeys.rows };
+}
+
+// Helper: The graph table a name refers to; bare names are looked up in schemas, in order
+function graphTable(graph, ref, schemas) {
+  const { schema, table } = parseTableRef(ref);
+  const match = (schema ? [schema] : schemas)
+    .map(s => graph.tables.find(t => t.schema === s && t.name === table))
+    .find(Boolean);
+  if (!match) {
+    const names = graph.tables.map(t => schema ? qualifiedName(t.schema, t.name) : t.name);
+    const suggestions = findSimilar(ref, [...new Set(names)]);
+    throw new McpError(ErrorCode.InvalidParams,
+      `Table "${ref}" not found\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}`);
+  }
+  return match;
+}
+
+// Helper: Oids of the tables a diagram shows: the named tables and everything within depth hops of
+// the focus table (in either direction), else every table in the schemas
+function diagramTables(graph, args, schemas) {
+  const find = ref => graphTable(graph, ref, schemas).oid;
+
+  if (!args.tables?.length && !args.focus) {
+    return new Set(graph.tables.filter(t => schemas.includes(t.schema)).map(t => t.oid));
+  }
+
+  const selected = new Set((args.tables ?? []).map(find));
+  if (args.focus) {
+    const depth = args.depth ?? 1;
+    if (!Number.isInteger(depth) || depth < 0 || depth > MAX_ER_DEPTH) {
+      throw new McpError(ErrorCode.InvalidParams, `depth must be a whole number from 0 to ${MAX_ER_DEPTH}`);
+    }
+    let frontier = [find(args.focus)];
+    frontier.forEach(oid => selected.add(oid));
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      for (const fk of graph.foreignKeys) {
+        for (const [from, to] of [[fk.from_oid, fk.to_oid], [fk.to_oid, fk.from_oid]]) {
+          if (frontier.includes(from) && !selected.has(to)) {
+            selected.add(to);
+            next.push(to);
+          }
+        }
+      }
+      frontier = next;
+    }
+  }
+  return selected;
+}
+
+// Helper: Mermaid entity and attribute names are plain words; types drop spaces and commas
+function mermaidWord(text, pattern) {
+  const word = text.replace(pattern, '_');
+  return /^[A-Za-z_]/.test(word) ? word : `_${word}`;
+}
+
+function mermaidDiagram(tables, foreignKeys) {
+  // Bare table names unless two schemas share one
+  const counts = new Map();
+  for (const table of tables) counts.set(table.name, (counts.get(table.name) ?? 0) + 1);
+  const ids = new Map(tables.map(t => [t.oid, mermaidWord(counts.get(t.name) > 1 ? `${t.schema}_${t.name}` : t.name, /[^A-Za-z0-9_-]/g)]));
+
+  const lines = ['erDiagram'];
+  for (const table of tables) {
+    if (!table.columns?.length) {
+      lines.push(`    ${ids.get(table.oid)}`);
+      continue;
+    }
+    lines.push(`    ${ids.get(table.oid)} {`);
+    for (const column of table.columns) {
+      const keys = column.keys.length > 0 ? ` ${column.keys.join(', ')}` : '';
+      lines.push(`        ${mermaidWord(column.type, /[^A-Za-z0-9_\-[\]()]/g)} ${mermaidWord(column.name, /[^A-Za-z0-9_-]/g)}${keys}`);
+    }
+    lines.push('    }');
+  }
+
+  // Referenced side: || exactly one, |o zero or one. Referencing side: o{ zero or many, o| zero or one.
+  // A solid line is an identifying relationship, a dotted one is not.
+  for (const fk of foreignKeys) {
+    const relation = `${fk.required ? '||' : '|o'}${fk.identifying ? '--' : '..'}${fk.unique ? 'o|' : 'o{'}`;
+    lines.push(`    ${ids.get(fk.to_oid)} ${relation} ${ids.get(fk.from_oid)} : "${fk.columns.join(', ').replace(/"/g, "'")}"`);
+  }
+  return lines.join('\n');
+}
+
+// Helper: Escape text for a Graphviz HTML-like label
+function dotHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Helper: Quoted Graphviz ID
+function dotId(text) {
+  return `"${String(text).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function dotDiagram(tables, foreignKeys) {
+  const names = new Map(tables.map(t => [t.oid, qualifiedName(t.schema, t.name)]));
+  const lines = [
+    'digraph er {',
+    '    graph [rankdir=LR];',
+    '    node [shape=plaintext, fontname="Helvetica"];',
+    '    edge [dir=both, fontname="Helvetica", fontsize=10];'
+  ];
+  for (const table of tables) {
+    const rows = [`<TR><TD BGCOLOR="lightgrey"><B>${dotHtml(names.get(table.oid))}</B></TD></TR>`];
+    for (const column of table.columns ?? []) {
+      const keys = column.keys.length > 0 ? ` <I>${column.keys.join(', ')}</I>` : '';
+      rows.push(`<TR><TD ALIGN="LEFT" PORT="${dotHtml(column.name)}">${dotHtml(column.name)} ${dotHtml(column.type)}${keys}</TD></TR>`);
+    }
+    lines.push(`    ${dotId(names.get(table.oid))} [label=<<TABLE BORDER="0" CELLBORDER="1" CELLSPACING="0">${rows.join('')}</TABLE>>];`);
+  }
+
+  // Edges run from the referencing column to the referenced one when both are drawn
+  for (const fk of foreignKeys) {
+    const from = tables.find(t => t.oid === fk.from_oid);
+    const to = tables.find(t => t.oid === fk.to_oid);
+    const port = (table, column) => table.columns?.some(c => c.name === column) ? `:${dotId(column)}` : '';
+    const ends = `${dotId(names.get(fk.from_oid))}${port(from, fk.columns[0])} -> ${dotId(names.get(fk.to_oid))}${port(to, fk.ref_columns[0])}`;
+    const style = `arrowhead=${fk.required ? 'teetee' : 'teeodot'}, arrowtail=${fk.unique ? 'teeodot' : 'crowodot'}${fk.identifying ? '' : ', style=dashed'}`;
+    lines.push(`    ${ends} [${style}, label=${dotId(fk.columns.join(', '))}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+async function handleErDiagram(args) {
+  const format = args.format ?? 'mermaid';
+  if (!ER_FORMATS.includes(format)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid format "${format}". Expected one of: ${ER_FORMATS.join(', ')}`);
+  }
+  const columnMode = args.columns ?? 'all';
+  if (!ER_COLUMN_MODES.includes(columnMode)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid columns "${columnMode}". Expected one of: ${ER_COLUMN_MODES.join(', ')}`);
+  }
+
+  const schemas = schemasFor(args);
+  const graph = await loadForeignKeyGraph();
+  const selected = diagramTables(graph, args, schemas);
+  if (selected.size > MAX_ER_TABLES) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `The diagram would have ${selected.size} tables (max ${MAX_ER_TABLES}). Pass tables, or a focus table with a smaller depth`);
+  }
+
+  const tables = graph.tables.filter(t => selected.has(t.oid)).map(t => ({ ...t }));
+  const foreignKeys = graph.foreignKeys.filter(fk => selected.has(fk.from_oid) && selected.has(fk.to_oid));
+
+  if (columnMode !== 'none') {
+    const columns = await currentPool().query(`
+      SELECT a.attrelid AS table_oid, a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+        EXISTS (SELECT 1 FROM pg_index i WHERE i.indrelid = a.attrelid AND i.indisprimary AND a.attnum = ANY(i.indkey)) AS primary_key,
+        EXISTS (SELECT 1 FROM pg_index i WHERE i.indrelid = a.attrelid AND i.indisunique AND NOT i.indisprimary
+                AND i.indnatts = 1 AND i.indkey[0] = a.attnum AND i.indpred IS NULL) AS unique_key
+      FROM pg_attribute a
+      WHERE a.attrelid = ANY($1) AND a.attnum > 0 AND NOT a.attisdropped
+      ORDER BY a.attrelid, a.attnum
+    `, [[...selected]]);
+
+    const referencing = new Set(graph.foreignKeys.flatMap(fk => fk.columns.map(column => `${fk.from_oid}.${column}`)));
+    for (const table of tables) {
+      table.columns = columns.rows
+        .filter(c => c.table_oid === table.oid)
+        .map(c => {
+          const keys = [];
+          if (c.primary_key) keys.push('PK');
+          if (referencing.has(`${table.oid}.${c.name}`)) keys.push('FK');
+          if (c.unique_key) keys.push('UK');
+          return { name: c.name, type: c.type, keys };
+        })
+        .filter(c => columnMode === 'all' || c.keys.length > 0);
+    }
+  }
+
+  return {
+    content: [{
+      type: "text",
+      text: format === 'dot' ? dotDiagram(tables, foreignKeys) : mermaidDiagram(tables, foreignKeys)
+    }]
+  };
+}
+
+// ── Join paths ──
+// find_join_path walks the foreign key graph in both directions, breadth first, so paths come out
+// shortest first. Each is rendered as FROM/JOIN clauses with short aliases; composite keys join on
+// every column pair.
+
+const ALIAS_KEYWORDS = new Set(['all', 'and', 'any', 'as', 'asc', 'at', 'by', 'do', 'end', 'for', 'from', 'if', 'in', 'is', 'join', 'new', 'not', 'of', 'old', 'on', 'or', 'to', 'user']);
+
+// Helper: Alias from the initials of a table name's words, made unique within the query
+function joinAlias(name, used) {
+  const initials = name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(word => word[0]).join('');
+  const base = /^[a-z]/.test(initials) ? initials : `t${initials}`;
+  let alias = base;
+  for (let i = 2; used.has(alias) || ALIAS_KEYWORDS.has(alias); i++) alias = `${base}${i}`;
+  used.add(alias);
+  return alias;
+}
+
+// Helper: Simple paths (no table twice) between two tables, shortest first. Every path of the last
+// length searched is returned, so callers can tell when paths tie.
+function joinPaths(graph, fromOid, toOid, maxJoins, limit) {
+  const neighbours = new Map();
+  const link = (oid, step) => {
+    if (!neighbours.has(oid)) neighbours.set(oid, []);
+    neighbours.get(oid).push(step);
+  };
+  for (const fk of graph.foreignKeys) {
+    if (fk.from_oid === fk.to_oid) continue;
+    link(fk.from_oid, { fk, to: fk.to_oid, forward: true });
+    link(fk.to_oid, { fk, to: fk.from_oid, forward: false });
+  }
+
+  const paths = [];
+  let truncated = false;
+  let frontier = [{ oid: fromOid, steps: [], seen: [fromOid] }];
+  for (let joins = 1; joins <= maxJoins && paths.length < limit && frontier.length > 0; joins++) {
+    const next = [];
+    for (const partial of frontier) {
+      for (const step of neighbours.get(partial.oid) ?? []) {
+        if (partial.seen.includes(step.to)) continue;
+        const steps = [...partial.steps, step];
+        if (step.to === toOid) paths.push(steps);
+        else next.push({ oid: step.to, steps, seen: [...partial.seen, step.to] });
+      }
+    }
+    if (next.length > MAX_JOIN_PATH_SEARCH) {
+      truncated = true;
+      break;
+    }
+    frontier = next;
+  }
+  return { paths, truncated };
+}
+
+// Helper: FROM/JOIN clauses for a path
+function joinSql(tables, fromOid, steps) {
+  const used = new Set();
+  let alias = joinAlias(tables.get(fromOid).name, used);
+  const lines = [`FROM ${tables.get(fromOid).sql_name} ${alias}`];
+  for (const step of steps) {
+    const nextAlias = joinAlias(tables.get(step.to).name, used);
+    const [here, there] = step.forward ? [step.fk.sql_columns, step.fk.sql_ref_columns] : [step.fk.sql_ref_columns, step.fk.sql_columns];
+    const on = there.map((column, i) => `${nextAlias}.${column} = ${alias}.${here[i]}`).join(' AND ');
+    lines.push(`JOIN ${tables.get(step.to).sql_name} ${nextAlias} ON ${on}`);
+    alias = nextAlias;
+  }
+  return lines.join('\n');
+}
+
+async function handleFindJoinPath(args) {
+  if (!args.from || !args.to) throw new McpError(ErrorCode.InvalidParams, "from and to required");
+  const maxJoins = args.max_joins ?? JOIN_PATH_DEFAULT_JOINS;
+  if (!Number.isInteger(maxJoins) || maxJoins < 1 || maxJoins > MAX_JOIN_PATH_JOINS) {
+    throw new McpError(ErrorCode.InvalidParams, `max_joins must be a whole number from 1 to ${MAX_JOIN_PATH_JOINS}`);
+  }
+  const limit = Math.min(Math.max(1, args.limit || JOIN_PATH_DEFAULT_LIMIT), MAX_JOIN_PATH_LIMIT);
+
+  const schemas = schemasFor(args);
+  const graph = await loadForeignKeyGraph();
+  const from = graphTable(graph, args.from, schemas);
+  const to = graphTable(graph, args.to, schemas);
+  const tables = new Map(graph.tables.map(t => [t.oid, t]));
+  const name = oid => qualifiedName(tables.get(oid).schema, tables.get(oid).name);
+  if (from.oid === to.oid) {
+    throw new McpError(ErrorCode.InvalidParams, `from and to are the same table (${name(from.oid)})`);
+  }
+
+  const { paths, truncated } = joinPaths(graph, from.oid, to.oid, maxJoins, limit);
+  const output = {
+    from: name(from.oid),
+    to: name(to.oid),
+    paths: paths.slice(0, limit).map(steps => {
+      // An inner join drops rows with a NULL key, and a join towards the referencing side fans out
+      const notes = [];
+      for (const step of steps) {
+        const [here, there] = step.forward ? [step.fk.from_oid, step.fk.to_oid] : [step.fk.to_oid, step.fk.from_oid];
+        if (step.forward && !step.fk.required) {
+          notes.push(`${name(here)}(${step.fk.columns.join(', ')}) can be NULL: JOIN drops those rows, LEFT JOIN keeps them`);
+        } else if (!step.forward && !step.fk.unique) {
+          notes.push(`Each ${name(here)} row can match many ${name(there)} rows, so the result has one row per ${name(there)} row`);
+        }
+      }
+      const path = {
+        joins: steps.length,
+        tables: [from.oid, ...steps.map(step => step.to)].map(name),
+        foreign_keys: steps.map(({ fk }) => `${name(fk.from_oid)}(${fk.columns.join(', ')}) -> ${name(fk.to_oid)}(${fk.ref_columns.join(', ')})`),
+        sql: joinSql(tables, from.oid, steps)
+      };
+      if (notes.length > 0) path.notes = notes;
+      return path;
+    })
+  };
+  if (paths.length > limit) output.more_paths = paths.length - limit;
+
+  const warnings = [];
+  const tied = paths.filter(steps => steps.length === paths[0]?.length).length;
+  if (paths.length === 0) {
+    warnings.push(`No foreign key path of up to ${maxJoins} join${maxJoins > 1 ? 's' : ''} connects ${output.from} and ${output.to}. Raise max_joins, or join on matching columns that have no foreign key`);
+  } else if (tied > 1) {
+    warnings.push(`${tied} paths of ${paths[0].length} join${paths[0].length > 1 ? 's' : ''} connect ${output.from} and ${output.to} through different foreign keys. Check which relationship the question means before using one`);
+  }
+  if (truncated) warnings.push('The search stopped early because the graph is large; longer paths may exist');
+  if (warnings.length > 0) output.warnings = warnings;
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+// ── Column profiles ──
+// profile_table describes how each column's values are distributed. Null fraction, distinct count,
+// common values, histogram and width come from pg_stats for analyzed columns and from a sample for
+// the rest; min, max and average of numbers and dates always come from the sample. The sample is a
+// TABLESAMPLE SYSTEM scan sized to the row budget, or the first rows when the table is smaller or
+// its size is unknown.
+
+const PROFILE_RANGE_CATEGORIES = ['N', 'D']; // numeric and date/time types get min, max and a sampled histogram
+const PROFILE_AVERAGE_TYPES = ['int2', 'int4', 'int8', 'float4', 'float8', 'numeric', 'date', 'timestamp', 'timestamptz'];
+
+// Helper: Round a fraction for output
+function roundFraction(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Helper: A sampled or pg_stats value of a column as shown - numbers, booleans and ISO timestamps
+// like query results, long text cut short
+function profileValue(text, column) {
+  if (text === null) return null;
+  if (['float4', 'float8'].includes(column.base_type)) return Number.isFinite(Number(text)) ? Number(text) : text;
+  switch (column.category) {
+    case 'N': return exactNumber(text);
+    case 'B': return text === 't' || text === 'true';
+    case 'D': return isoTimestamp(text);
+    default: return text.length > PROFILE_VALUE_CHARS ? `${text.slice(0, PROFILE_VALUE_CHARS)}…` : text;
+  }
+}
+
+// Helper: At most PROFILE_HISTOGRAM_BOUNDS evenly spaced bounds, keeping the first and last
+function thinBounds(bounds) {
+  if (bounds.length <= PROFILE_HISTOGRAM_BOUNDS) return bounds;
+  return Array.from({ length: PROFILE_HISTOGRAM_BOUNDS },
+    (_, i) => bounds[Math.round(i * (bounds.length - 1) / (PROFILE_HISTOGRAM_BOUNDS - 1))]);
+}
+
+// Helper: Distinct values in a column from the distinct and once-seen values of a sample of its
+// non-null values, with the Duj1 estimator ANALYZE uses. total is null when the column size is unknown.
+function estimateDistinct(sampled, distinct, once, total) {
+  if (total === null || sampled >= total) return distinct;
+  if (once >= sampled) return Math.round(total); // every sampled value is unique
+  const estimate = sampled * distinct / (sampled - once + once * sampled / total);
+  return Math.round(Math.min(Math.max(estimate, distinct), total));
+}
+
+// Helper: A sample scan of at most budget rows. TABLESAMPLE takes a little over the budget, since
+// SYSTEM samples whole pages and the row estimate may be low; the extra rows are dropped at random,
+// not by position.
+function sampleScan(table, rowsEstimate, budget, { columns = '*', where } = {}) {
+  const filter = where ? ` WHERE ${where}` : '';
+  if (rowsEstimate === null || rowsEstimate <= budget) {
+    return { sql: `SELECT ${columns} FROM ${table}${filter} LIMIT ${budget}`, method: rowsEstimate === null ? 'first rows' : 'whole table', random: false };
+  }
+  const percent = Number(Math.min(100, budget * 120 / rowsEstimate).toPrecision(3));
+  return {
+    sql: `SELECT ${columns} FROM ${table} TABLESAMPLE SYSTEM (${percent})${filter} ORDER BY random() LIMIT ${budget}`,
+    method: `TABLESAMPLE SYSTEM (${percent}%)`,
+    random: true
+  };
+}
+
+// Helper: The table or materialized view a sampling tool reads: oid, kind, row estimate (null when
+// unknown) and when it was last analyzed
+async function sampledRelation(tool, ref, schema, table) {
+  const relation = await currentPool().query(`
+    SELECT c.oid, c.relkind,
+      CASE WHEN c.relkind = 'p'
+        THEN (SELECT sum(p.reltuples) FILTER (WHERE p.reltuples >= 0) FROM pg_partition_tree(c.oid) t JOIN pg_class p ON p.oid = t.relid WHERE t.isleaf)
+        ELSE NULLIF(c.reltuples, -1) END AS rows,
+      GREATEST(s.last_analyze, s.last_autoanalyze) AS analyzed_at, s.n_mod_since_analyze AS changed
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_stat_all_tables s ON s.relid = c.oid
+    WHERE n.nspname = $1 AND c.relname = $2
+  `, [schema, table]);
+  // Materialized views are not in the schema cache, so it only supplies the suggestions
+  if (relation.rowCount === 0) {
+    await assertTableExists(ref, schema, table);
+    throw new McpError(ErrorCode.InvalidParams, `Table '${qualifiedName(schema, table)}' not found`);
+  }
+  const { oid, relkind, rows, analyzed_at: analyzedAt, changed } = relation.rows[0];
+  if (!['r', 'p', 'm'].includes(relkind)) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `${qualifiedName(schema, table)} is not a table. ${tool} works on tables and materialized views; aggregate views with query`);
+  }
+  return { oid, relkind, rowsEstimate: rows === null ? null : Math.round(rows), analyzedAt, changed: Number(changed) };
+}
+
+// Helper: A column of a table by name, or an error suggesting similar names
+function pickColumn(columns, name, schema, table) {
+  const column = columns.find(c => c.name === name);
+  if (!column) {
+    const suggestions = findSimilar(name, columns.map(c => c.name));
+    throw new McpError(ErrorCode.InvalidParams,
+      `Column "${name}" does not exist in ${qualifiedName(schema, table)}\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar columns)'}`);
+  }
+  return column;
+}
+
+// Helper: One statement computing every sampled figure. Columns without pg_stats (fromSample) get
+// counts, widths and value frequencies; numeric and date columns get min, max, average and, without
+// pg_stats, histogram bounds.
+function profileSampleSql(sample, columns, topValues) {
+  const fractions = Array.from({ length: PROFILE_HISTOGRAM_BOUNDS }, (_, i) => i / (PROFILE_HISTOGRAM_BOUNDS - 1));
+  const select = ['count(*) AS sample_rows'];
+  columns.forEach((column, i) => {
+    const col = column.sql_name;
+    if (column.fromSample) {
+      select.push(`count(${col}) AS count_${i}`, `avg(pg_column_size(${col})) AS width_${i}`);
+      select.push(`(SELECT json_build_object('distinct', count(*), 'once', count(*) FILTER (WHERE n = 1),
+          'common', json_agg(json_build_array(v, n) ORDER BY rank) FILTER (WHERE rank <= ${topValues} AND n > 1))
+        FROM (SELECT ${col}::text AS v, count(*) AS n, row_number() OVER (ORDER BY count(*) DESC, ${col}::text) AS rank
+              FROM sample WHERE ${col} IS NOT NULL GROUP BY 1) g) AS values_${i}`);
+    }
+    if (PROFILE_RANGE_CATEGORIES.includes(column.category)) {
+      select.push(`min(${col})::text AS min_${i}`, `max(${col})::text AS max_${i}`);
+      if (column.fromSample) {
+        select.push(`(percentile_disc(ARRAY[${fractions.join(', ')}]::float8[]) WITHIN GROUP (ORDER BY ${col}))::text[] AS histogram_${i}`);
+      }
+    }
+    // Dates average through their epoch; timestamptz keeps its zone, date and timestamp stay local
+    if (PROFILE_AVERAGE_TYPES.includes(column.base_type)) {
+      const epoch = `avg(extract(epoch FROM ${col}))`;
+      const average = {
+        date: `(timestamp 'epoch' + ${epoch} * interval '1 second')::date`,
+        timestamp: `timestamp 'epoch' + ${epoch} * interval '1 second'`,
+        timestamptz: `to_timestamp(${epoch})`
+      }[column.base_type] ?? (column.category === 'N' && !column.base_type.startsWith('float') ? `round(avg(${col}), 4)` : `avg(${col})`);
+      select.push(`(${average})::text AS avg_${i}`);
+    }
+  });
+  return `WITH sample AS (${sample})\nSELECT ${select.join(',\n  ')}\nFROM sample`;
+}
+
+// Helper: A column's profile from its pg_stats row
+function statsProfile(column, rowsEstimate, topValues) {
+  const profile = {
+    null_fraction: roundFraction(column.null_frac),
+    distinct_estimate: column.n_distinct >= 0 ? Math.round(column.n_distinct)
+      : rowsEstimate === null ? null : Math.round(-column.n_distinct * rowsEstimate),
+    avg_width: column.avg_width
+  };
+  if (column.common_values) {
+    profile.most_common = column.common_values.slice(0, topValues).map((value, i) => ({
+      value: profileValue(value, column),
+      frequency: roundFraction(column.common_frequencies[i])
+    }));
+  }
+  if (column.histogram) profile.histogram = thinBounds(column.histogram).map(value => profileValue(value, column));
+  return profile;
+}
+
+// Helper: Redact the values a profile shows (common values, histogram, min, max, average) by the
+// column's rule or the value detectors; a dropped column keeps only its counts
+function redactProfile(profile, rule) {
+  const redact = value => redactValue(value, rule, profile.column);
+  if (rule && rule.action !== 'keep') noteRedaction(rule, profile.column);
+  if (rule?.action === 'drop') {
+    for (const key of ['most_common', 'histogram', 'min', 'max', 'avg']) delete profile[key];
+    return profile;
+  }
+  for (const key of ['min', 'max', 'avg']) {
+    if (key in profile) profile[key] = redact(profile[key]);
+  }
+  if (profile.histogram) profile.histogram = profile.histogram.map(redact);
+  for (const entry of profile.most_common ?? []) entry.value = redact(entry.value);
+  return profile;
+}
+
+// Helper: A column's profile from the sample row, for the column at index i. complete when the
+// sample holds the whole table.
+function sampleProfile(column, i, row, rowsEstimate, complete) {
+  const sampleRows = Number(row.sample_rows);
+  if (sampleRows === 0) return {};
+  const count = Number(row[`count_${i}`]);
+  const values = row[`values_${i}`];
+  const total = complete ? count : rowsEstimate === null ? null : rowsEstimate * count / sampleRows;
+  const profile = {
+    null_fraction: roundFraction(1 - count / sampleRows),
+    distinct_estimate: estimateDistinct(count, values.distinct, values.once, total),
+    avg_width: count > 0 ? Math.round(Number(row[`width_${i}`])) : null
+  };
+  if (values.common) {
+    profile.most_common = values.common.map(([value, n]) => ({
+      value: profileValue(value, column),
+      frequency: roundFraction(n / sampleRows)
+    }));
+  }
+  if (row[`histogram_${i}`]?.some(value => value !== null)) {
+    profile.histogram = [...new Set(row[`histogram_${i}`])].map(value => profileValue(value, column));
+  }
+  return profile;
+}
+
+async function handleProfileTable(args) {
+  if (!args.table) throw new McpError(ErrorCode.InvalidParams, "table required");
+  const budget = args.sample_rows ?? PROFILE_DEFAULT_SAMPLE_ROWS;
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_PROFILE_SAMPLE_ROWS) {
+    throw new McpError(ErrorCode.InvalidParams, `sample_rows must be a whole number from 1 to ${MAX_PROFILE_SAMPLE_ROWS}`);
+  }
+  const topValues = Math.min(Math.max(1, args.top_values || PROFILE_DEFAULT_TOP_VALUES), MAX_PROFILE_TOP_VALUES);
+  const timeoutMs = timeoutFor(args);
+
+  const { schema, table } = await resolveTable(args);
+  const { oid, relkind, rowsEstimate, analyzedAt, changed } = await sampledRelation('profile_table', args.table, schema, table);
+
+  const allColumns = (await currentPool().query(`
+    SELECT a.attname AS name, quote_ident(a.attname) AS sql_name, format_type(a.atttypid, a.atttypmod) AS type,
+      COALESCE(b.typname, t.typname) AS base_type, COALESCE(b.typcategory, t.typcategory) AS category,
+      s.null_frac, s.n_distinct, s.avg_width, s.most_common_vals::text::text[] AS common_values,
+      s.most_common_freqs AS common_frequencies, s.histogram_bounds::text::text[] AS histogram
+    FROM pg_attribute a
+    JOIN pg_type t ON t.oid = a.atttypid
+    LEFT JOIN pg_type b ON b.oid = t.typbasetype
+    LEFT JOIN pg_stats s ON s.schemaname = $1 AND s.tablename = $2 AND s.attname = a.attname AND s.inherited = $3
+    WHERE a.attrelid = $4 AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY a.attnum
+  `, [schema, table, relkind === 'p', oid])).rows;
+
+  const notes = [];
+  let columns = allColumns;
+  if (args.columns?.length) {
+    if (args.columns.length > MAX_PROFILE_COLUMNS) {
+      throw new McpError(ErrorCode.InvalidParams, `At most ${MAX_PROFILE_COLUMNS} columns can be profiled at once`);
+    }
+    columns = args.columns.map(name => pickColumn(allColumns, name, schema, table));
+  } else if (allColumns.length > MAX_PROFILE_COLUMNS) {
+    columns = allColumns.slice(0, MAX_PROFILE_COLUMNS);
+    notes.push(`Profiled the first ${MAX_PROFILE_COLUMNS} of ${allColumns.length} columns; pass columns for the others`);
+  }
+  columns = columns.map(c => ({ ...c, fromSample: args.sample_only === true || c.null_frac === null }));
+
+  const output = { table: qualifiedName(schema, table), rows_estimate: rowsEstimate, analyzed_at: analyzedAt };
+  let sampleRow = null;
+  let complete = false;
+  if (columns.some(c => c.fromSample || PROFILE_RANGE_CATEGORIES.includes(c.category))) {
+    const sample = sampleScan(sqlTableName(schema, table), rowsEstimate, budget);
+    const text = profileSampleSql(sample.sql, columns, topValues);
+    noteAudit({ sql: text, table: qualifiedName(schema, table) });
+    try {
+      sampleRow = (await timedQuery(currentPool(), text, timeoutMs)).rows[0];
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, await enhanceError(error, text));
+    }
+    const sampleRows = Number(sampleRow.sample_rows);
+    noteAudit({ rowCount: sampleRows });
+    complete = !sample.random && sampleRows < budget;
+    output.sample = { rows: sampleRows, method: complete ? 'whole table' : sample.method };
+  }
+
+  output.columns = columns.map((column, i) => {
+    const profile = { column: column.name, type: column.type, source: column.fromSample ? 'sample' : 'pg_stats' };
+    Object.assign(profile, column.fromSample ? sampleProfile(column, i, sampleRow, rowsEstimate, complete) : statsProfile(column, rowsEstimate, topValues));
+    for (const key of ['min', 'max', 'avg']) {
+      const value = sampleRow?.[`${key}_${i}`];
+      if (value !== undefined && value !== null) profile[key] = profileValue(value, column);
+    }
+    return redactProfile(profile, columnRule(column.name, { schema, table, column: column.name }));
+  });
+
+  if (columns.some(c => c.fromSample) && !args.sample_only) {
+    notes.push(analyzedAt
+      ? 'Columns missing from pg_stats (added since the last ANALYZE) were profiled from the sample'
+      : `${output.table} has not been analyzed, so figures come from the sample. ANALYZE it for whole-table statistics`);
+  }
+  if (analyzedAt && rowsEstimate && changed > rowsEstimate * PROFILE_STALE_FRACTION) {
+    notes.push(`${changed} rows changed since the last ANALYZE, so pg_stats figures may be stale. sample_only profiles a fresh sample`);
+  }
+  if (output.sample?.method === 'first rows') {
+    notes.push(`The table size is unknown, so the sample is the first ${output.sample.rows} rows read rather than a random sample`);
+  } else if (output.sample && !complete) {
+    notes.push('Min, max and average come from the sample and may miss extreme values');
+  }
+  if (notes.length > 0) output.notes = notes;
+  output.redacted = appliedRedactions();
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+// ── JSON schema inference ──
+// infer_json_schema merges the values of a json or jsonb column from a sample (see sampleScan) into
+// one shape, then lists every path with how often it is present, the types seen there, examples and
+// array lengths, or renders the shape as a JSON Schema.
+
+// Helper: Percentage with one decimal
+function percentOf(part, whole) {
+  return Math.round(part / whole * 1000) / 10;
+}
+
+// Helper: Example values as shown, long strings cut short
+function shapeExamples(shape) {
+  return shape.examples.map(value => typeof value === 'string' && value.length > PROFILE_VALUE_CHARS
+    ? `${value.slice(0, PROFILE_VALUE_CHARS)}…` : value);
+}
+
+// Helper: jsonpath accessor for a key: .name, or ."quoted" when the key is not a plain word
+function jsonPathKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `.${key}` : `."${key.replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Helper: Every path of a shape, parents before children. presence is the share of the parent's
+// objects that have the key; array items ([*]) have none.
+function shapePaths(shape, path = '$', parentObjects = null, paths = []) {
+  const entry = { path };
+  if (parentObjects !== null) entry.presence = percentOf(shape.count, parentObjects);
+  entry.types = Object.fromEntries(Object.entries(shape.types)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => [type, percentOf(count, shape.count)]));
+  if (shape.minItems !== undefined) entry.array_length = { min: shape.minItems, max: shape.maxItems };
+  if (shape.examples) entry.examples = shapeExamples(shape);
+  if (shape.truncated) entry.truncated = true;
+  paths.push(entry);
+
+  for (const [key, child] of Object.entries(shape.properties ?? {})) {
+    shapePaths(child, path + jsonPathKey(key), shape.types.object, paths);
+  }
+  if (shape.items) shapePaths(shape.items, `${path}[*]`, null, paths);
+  return paths;
+}
+
+// Helper: A shape as a JSON Schema. Keys present in every object are required; integers seen
+// alongside other numbers widen to number.
+function shapeSchema(shape) {
+  let types = Object.keys(shape.types);
+  if (types.includes('number')) types = types.filter(type => type !== 'integer');
+  const schema = { type: types.length === 1 ? types[0] : types };
+
+  if (shape.properties) {
+    const entries = Object.entries(shape.properties);
+    schema.properties = Object.fromEntries(entries.map(([key, child]) => [key, shapeSchema(child)]));
+    const required = entries.filter(([, child]) => child.count === shape.types.object).map(([key]) => key);
+    if (required.length > 0) schema.required = required;
+  }
+  if (shape.items) schema.items = shapeSchema(shape.items);
+  if (shape.minItems !== undefined) {
+    schema.minItems = shape.minItems;
+    schema.maxItems = shape.maxItems;
+  }
+  if (shape.examples) schema.examples = shapeExamples(shape);
+  return schema;
+}
+
+// Helper: Was any part of a shape cut short
+function shapeTruncated(shape) {
+  return Boolean(shape.truncated) || Object.values(shape.properties ?? {}).some(shapeTruncated)
+    || Boolean(shape.items && shapeTruncated(shape.items));
+}
+
+// Helper: Remove every example from a shape
+function withoutExamples(shape) {
+  delete shape.examples;
+  for (const child of Object.values(shape.properties ?? {})) withoutExamples(child);
+  if (shape.items) withoutExamples(shape.items);
+}
+
+async function handleInferJsonSchema(args) {
+  if (!args.table || !args.column) throw new McpError(ErrorCode.InvalidParams, "table and column required");
+  const format = args.format ?? 'paths';
+  if (!JSON_SCHEMA_FORMATS.includes(format)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid format "${format}". Expected one of: ${JSON_SCHEMA_FORMATS.join(', ')}`);
+  }
+  const budget = args.sample_rows ?? JSON_DEFAULT_SAMPLE_ROWS;
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_JSON_SAMPLE_ROWS) {
+    throw new McpError(ErrorCode.InvalidParams, `sample_rows must be a whole number from 1 to ${MAX_JSON_SAMPLE_ROWS}`);
+  }
+  const timeoutMs = timeoutFor(args);
+
+  const { schema, table } = await resolveTable(args);
+  const { oid, rowsEstimate } = await sampledRelation('infer_json_schema', args.table, schema, table);
+  const columns = (await currentPool().query(`
+    SELECT a.attname AS name, quote_ident(a.attname) AS sql_name, format_type(a.atttypid, a.atttypmod) AS type,
+      COALESCE(b.typname, t.typname) AS base_type
+    FROM pg_attribute a
+    JOIN pg_type t ON t.oid = a.atttypid
+    LEFT JOIN pg_type b ON b.oid = t.typbasetype
+    WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY a.attnum
+  `, [oid])).rows;
+  const column = pickColumn(columns, args.column, schema, table);
+  if (!['json', 'jsonb'].includes(column.base_type)) {
+    const jsonColumns = columns.filter(c => ['json', 'jsonb'].includes(c.base_type)).map(c => c.name);
+    throw new McpError(ErrorCode.InvalidParams,
+      `Column "${column.name}" is ${column.type}, not json or jsonb${jsonColumns.length > 0 ? `\n\nJSON columns: ${jsonColumns.join(', ')}` : ''}`);
+  }
+
+  const sample = sampleScan(sqlTableName(schema, table), rowsEstimate, budget,
+    { columns: `${column.sql_name} AS value`, where: `${column.sql_name} IS NOT NULL` });
+  noteAudit({ sql: sample.sql, table: qualifiedName(schema, table) });
+  let result;
+  try {
+    result = await timedQuery(currentPool(), sample.sql, timeoutMs);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, await enhanceError(error, sample.sql));
+  }
+  noteAudit({ rowCount: result.rowCount });
+
+  // A column under a rule keeps its structure but shows no examples; otherwise values are redacted
+  // (detectors, key names) before they are merged
+  const rule = columnRule(column.name, { schema, table, column: column.name });
+  const redactedColumn = rule && rule.action !== 'keep';
+  let shape;
+  for (const row of result.rows) {
+    shape = mergeJsonShape(shape, redactedColumn ? row.value : redactValue(row.value, rule, column.name));
+  }
+  if (shape && redactedColumn) {
+    noteRedaction(rule, column.name);
+    withoutExamples(shape);
+  }
+  const complete = !sample.random && result.rowCount < budget;
+  const output = {
+    table: qualifiedName(schema, table),
+    column: column.name,
+    type: column.type,
+    sample: { rows: result.rowCount, method: complete ? 'every non-null value' : sample.method }
+  };
+
+  const notes = [];
+  if (!shape) {
+    notes.push('The column has no non-null values to infer from');
+  } else if (format === 'json_schema') {
+    output.json_schema = {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: `${output.table}.${column.name}`,
+      ...shapeSchema(shape)
+    };
+  } else {
+    const paths = shapePaths(shape);
+    output.paths = paths.slice(0, MAX_JSON_PATHS);
+    if (paths.length > MAX_JSON_PATHS) notes.push(`Showing ${MAX_JSON_PATHS} of ${paths.length} paths`);
+  }
+  if (shape && shapeTruncated(shape)) {
+    notes.push(`Some values were cut: nesting deeper than ${JSON_MAX_DEPTH}, over ${JSON_MAX_KEYS} keys in one object (likely a map keyed by data) or over ${JSON_ARRAY_ITEMS} items in one array`);
+  }
+  if (sample.method === 'first rows' && !complete) {
+    notes.push(`The table size is unknown, so the sample is the first ${result.rowCount} values read rather than a random sample`);
+  }
+  if (notes.length > 0) output.notes = notes;
+  output.redacted = appliedRedactions();
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+// ── Migrations ──
+// A migration is <version>_<name>.up.sql in the connection's migrations directory, with an optional
+// <version>_<name>.down.sql that reverts it. Versions are whole numbers, applied in numeric order. The
+// migrations table records each applied version with a checksum of its up file; an applied file that
+// has changed or disappeared since is drift, which migrate_up and migrate_down refuse to run past.
+// Each migration runs in its own transaction, and an advisory lock keeps two runs from interleaving.
+
+const MIGRATION_FILE = /^(\d{1,18})_([A-Za-z0-9_-]+)\.(up|down)\.sql$/;
+const MAX_MIGRATION_NAME = 100;
+
+// Helper: Migration settings of the connection in use
+function migrationConfig() {
+  const connection = currentConnection();
+  if (!connection.migrations) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `No migrations directory is configured for connection "${connection.name}". Set NEON_PG_MIGRATIONS_DIR`);
+  }
+  return connection.migrations;
+}
+
+// Helper: sha256 of a migration file, the same whatever its line endings
+function migrationChecksum(sql) {
+  return createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Helper: Order migrations by numeric version
+function compareVersions(a, b) {
+  const [x, y] = [BigInt(a.key), BigInt(b.key)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function migrationLabel(migration) {
+  return `${migration.version}_${migration.name}`;
+}
+
+// Helper: Migrations of a directory in version order. key is the version without leading zeros, as the
+// migrations table stores it. .sql files that do not follow the naming scheme, and down files without
+// an up file, are listed as ignored.
+async function readMigrations(dir) {
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { exists: false, migrations: [], ignored: [] };
+    throw error;
+  }
+
+  const byKey = new Map();
+  const ignored = [];
+  for (const file of files.sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      if (file.endsWith('.sql')) ignored.push(file);
+      continue;
     }
-  },
-  {
-    name: "sample_data",
-    description: "Get sample rows from a table to see actual data format, JSON structures, and real values. Use the query tool for filtered results.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        table: { type: "string", description: "Table name to sample from" },
-        limit: { type: "number", description: "Number of rows to return (default 3, max 10)" }
-      },
-      required: ["table"]
+    const [, version, name, direction] = match;
+    const key = BigInt(version).toString();
+    const migration = byKey.get(key) ?? { key, version, name };
+    if (migration.version !== version || migration.name !== name || migration[direction]) {
+      throw new McpError(ErrorCode.InvalidParams,
+        `Migration version ${version} is used by both ${(migration.up ?? migration.down).file} and ${file}. Give each migration its own version`);
     }
-  },
-  {
-    name: "search_schema",
-    description: "Search for tables and columns by name pattern. Use when you know the concept but not exact name.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        pattern: { type: "string", description: "Search pattern (case-insensitive, searches table and column names)" }
-      },
-      required: ["pattern"]
+    migration[direction] = { file, sql: await readFile(join(dir, file), 'utf8') };
+    byKey.set(key, migration);
+  }
+
+  const migrations = [];
+  for (const migration of byKey.values()) {
+    if (!migration.up) {
+      ignored.push(migration.down.file);
+      continue;
     }
+    migration.checksum = migrationChecksum(migration.up.sql);
+    migrations.push(migration);
   }
-];
+  return { exists: true, migrations: migrations.sort(compareVersions), ignored };
+}
 
-server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+// Helper: Every migration, applied or on disk, with its status: applied, pending, changed (the up file
+// no longer matches the recorded checksum) or missing (applied, but the file is gone)
+async function migrationState(client, config) {
+  const { exists, migrations, ignored } = await readMigrations(config.dir);
+  const table = sqlTableName(config.table.schema, config.table.table);
+  const { tracked } = (await client.query('SELECT to_regclass($1) IS NOT NULL AS tracked', [table])).rows[0];
+  const records = tracked
+    ? (await client.query(`SELECT version::text AS key, name, checksum, applied_at FROM ${table}`)).rows
+    : [];
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args = {} } = request.params;
+  const files = new Map(migrations.map(migration => [migration.key, migration]));
+  const entries = records.map(record => {
+    const migration = files.get(record.key);
+    const status = !migration ? 'missing' : migration.checksum !== record.checksum ? 'changed' : 'applied';
+    return { key: record.key, version: migration?.version ?? record.key, name: migration?.name ?? record.name, status, migration, record };
+  });
+  const applied = new Set(records.map(record => record.key));
+  for (const migration of migrations) {
+    if (!applied.has(migration.key)) entries.push({ key: migration.key, version: migration.version, name: migration.name, status: 'pending', migration });
+  }
+  return { exists, entries: entries.sort(compareVersions), ignored };
+}
 
-  switch (name) {
-    case "query": return await handleQuery(args);
-    case "execute": return await handleExecute(args);
-    case "get_tables": return await handleGetTables();
-    case "get_schema": return await handleGetSchema(args);
-    case "describe_table": return await handleDescribeTable(args);
-    case "sample_data": return await handleSampleData(args);
-    case "search_schema": return await handleSearchSchema(args);
-    default: throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+function driftedMigrations(entries) {
+  return entries.filter(entry => entry.status === 'changed' || entry.status === 'missing');
+}
+
+// Helper: Refuse to run while applied migrations differ from their files
+function assertNoDrift(entries) {
+  const drift = driftedMigrations(entries);
+  if (drift.length === 0) return;
+  throw new McpError(ErrorCode.InvalidParams,
+    `Applied migrations no longer match their files: ${drift.map(entry => `${migrationLabel(entry)} (${entry.status})`).join(', ')}. Restore each file as it was applied (migrate_status shows the recorded checksums) and put further changes in a new migration`);
+}
+
+// Helper: Statements of a migration's SQL. The runner opens and commits the transaction, so the SQL
+// must not.
+function migrationStatements(label, sql) {
+  const statements = classifySql(sql);
+  if (statements.length === 0) throw new McpError(ErrorCode.InvalidParams, `${label} has no statements`);
+  if (statements.some(s => TRANSACTION_CONTROL_STATEMENTS.includes(s.kind))) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `${label} controls transactions itself. Every migration already runs in its own transaction; remove its BEGIN and COMMIT`);
   }
-});
+  return statements;
+}
 
-async function handleQuery(args) {
-  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+// Helper: A write policy error, naming the migration file it came from
+function migrationPolicyError(file, error) {
+  if (!(error instanceof McpError) || error.message.includes(file)) return error;
+  return new McpError(error.code, `${file}: ${error.message.replace(/^MCP error -?\d+: /, '')}`);
+}
+
+// Helper: Check a migration file against the write policy before anything runs
+function assertMigrationAllowed({ file, sql }) {
+  try {
+    assertWriteAllowed(migrationStatements(file, sql));
+  } catch (error) {
+    throw migrationPolicyError(file, error);
+  }
+}
+
+// Helper: Check the files of a run against the write policy's table rules on the client that runs
+// them. A table one file creates may be written by the others.
+async function assertMigrationTablesAllowed(client, files) {
+  const statements = files.map(({ file, sql }) => migrationStatements(file, sql));
+  for (const [i, { file }] of files.entries()) {
+    try {
+      await assertTablesAllowed(client, statements[i], statements.flat());
+    } catch (error) {
+      throw migrationPolicyError(file, error);
+    }
+  }
+}
 
-  const lower = args.sql.trim().toLowerCase();
-  if (!lower.startsWith('select') && !lower.startsWith('with') && !lower.startsWith('explain')) {
-    throw new McpError(ErrorCode.InvalidParams, "Use SELECT, WITH, or EXPLAIN queries only");
+// Helper: steps and to of a migrate call; to becomes a version key
+function migrationRange(args, defaultSteps) {
+  if (args.steps !== undefined && args.to !== undefined) {
+    throw new McpError(ErrorCode.InvalidParams, "Pass steps or to, not both");
+  }
+  if (args.steps !== undefined && (!Number.isInteger(args.steps) || args.steps < 1)) {
+    throw new McpError(ErrorCode.InvalidParams, "steps must be a positive whole number");
   }
+  if (args.to === undefined) return { steps: args.steps ?? defaultSteps, to: null };
+  if (!(Number.isInteger(args.to) && args.to >= 0) && !(typeof args.to === 'string' && /^\d{1,18}$/.test(args.to))) {
+    throw new McpError(ErrorCode.InvalidParams, `to must be a migration version, e.g. "0003"`);
+  }
+  return { steps: null, to: BigInt(args.to) };
+}
 
-  const hasUserLimit = lower.startsWith('explain') || lower.includes(' limit ');
-  const sql = hasUserLimit ? args.sql : `${args.sql} LIMIT ${MAX_ROWS}`;
+// Helper: Run fn on a dedicated client holding the advisory lock of the migrations table
+async function withMigrationLock(config, fn) {
+  const key = `neon_pg_migrations ${qualifiedName(config.table.schema, config.table.table)}`;
+  const client = await currentPool().connect();
+  let cleanupError = null;
+  try {
+    const { locked } = (await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [key])).rows[0];
+    if (!locked) {
+      throw new McpError(ErrorCode.InvalidParams, "Another migration run holds the migrations lock. Try again once it has finished");
+    }
+    try {
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]).catch(error => { cleanupError = error; });
+    }
+  } finally {
+    client.release(cleanupError || undefined);
+  }
+}
 
+// Helper: Apply or revert migrations in the order given. Each commits on its own, so a failure keeps
+// the ones before it; a dry run runs them all in one transaction and rolls it back.
+async function runMigrations(client, config, entries, direction, dryRun, timeoutMs) {
+  const table = sqlTableName(config.table.schema, config.table.table);
+  const done = [];
+  let current = null;
   try {
-    const result = await pool.query({ text: sql, values: args.params || [], statement_timeout: QUERY_TIMEOUT });
+    if (dryRun) await client.query('BEGIN');
+    if (direction === 'up' && entries.length > 0) {
+      await client.query(`CREATE TABLE IF NOT EXISTS ${table} (
+        version bigint PRIMARY KEY,
+        name text NOT NULL,
+        checksum text NOT NULL,
+        applied_at timestamptz NOT NULL DEFAULT now(),
+        duration_ms integer
+      )`);
+    }
+    for (const entry of entries) {
+      current = entry;
+      const startedAt = Date.now();
+      if (!dryRun) await client.query('BEGIN');
+      await timedQuery(client, entry.migration[direction].sql, timeoutMs);
+      const durationMs = Date.now() - startedAt;
+      if (direction === 'up') {
+        await client.query(`INSERT INTO ${table} (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)`,
+          [entry.key, entry.name, entry.migration.checksum, durationMs]);
+      } else {
+        await client.query(`DELETE FROM ${table} WHERE version = $1`, [entry.key]);
+      }
+      if (!dryRun) await client.query('COMMIT');
+      done.push({ version: entry.version, name: entry.name, duration_ms: durationMs });
+    }
+    if (dryRun) await client.query('ROLLBACK');
+    return done;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (!current) {
+      throw new McpError(ErrorCode.InvalidParams, `Could not create the migrations table ${qualifiedName(config.table.schema, config.table.table)}: ${error.message}`);
+    }
+    const { file, sql } = current.migration[direction];
+    const message = error instanceof McpError ? error.message.replace(/^MCP error -?\d+: /, '') : await enhanceError(error, sql);
+    const kept = !dryRun && done.length > 0
+      ? `\n\nThe migrations before it committed and stay ${direction === 'up' ? 'applied' : 'reverted'}: ${done.map(migrationLabel).join(', ')}`
+      : '';
+    throw new McpError(ErrorCode.InvalidParams, `${file} failed and was rolled back${dryRun ? ' with the rest of the dry run' : ''}: ${message}${kept}`);
+  } finally {
+    if (!dryRun && done.length > 0) invalidateSchemaCache();
+  }
+}
 
-    const response = {
-      rowCount: result.rowCount,
-      rows: result.rows,
-      fields: result.fields.map(f => ({ name: f.name, dataTypeID: f.dataTypeID }))
-    };
+// Helper: SQL of the files a run executes, as the audit log records it
+function migrationAuditSql(entries, direction) {
+  if (entries.length === 0) return undefined;
+  return entries.map(entry => `-- ${entry.migration[direction].file}\n${entry.migration[direction].sql.trim()}`).join('\n\n');
+}
 
-    if (!hasUserLimit && result.rowCount >= MAX_ROWS) {
-      response.warning = `Results truncated at ${MAX_ROWS} rows. Add an explicit LIMIT clause or use WHERE to narrow results.`;
+async function handleMigrateStatus() {
+  const config = migrationConfig();
+  const { exists, entries, ignored } = await migrationState(currentPool(), config);
+  const applied = entries.filter(entry => entry.status !== 'pending');
+  const latest = applied.at(-1);
+
+  const output = {
+    connection: currentConnection().name,
+    directory: config.dir,
+    table: qualifiedName(config.table.schema, config.table.table),
+    current_version: latest?.version ?? null,
+    pending: entries.length - applied.length,
+    migrations: entries.map(entry => {
+      const item = { version: entry.version, name: entry.name, status: entry.status };
+      if (entry.record) item.applied_at = entry.record.applied_at;
+      if (entry.status === 'changed') item.checksum = { recorded: entry.record.checksum, file: entry.migration.checksum };
+      if (entry.migration && !entry.migration.down) item.reversible = false;
+      return item;
+    })
+  };
+
+  const warnings = [];
+  if (!exists) warnings.push(`${config.dir} does not exist yet; create_migration creates it`);
+  const drift = driftedMigrations(entries);
+  if (drift.length > 0) {
+    warnings.push(`Drift: ${drift.map(entry => `${migrationLabel(entry)} ${entry.status === 'changed' ? 'was edited' : 'was deleted'}`).join(', ')} after being applied. migrate_up and migrate_down refuse to run until each file is restored as it was applied`);
+  }
+  const late = entries.filter(entry => entry.status === 'pending' && latest && compareVersions(entry, latest) < 0);
+  if (late.length > 0) {
+    warnings.push(`${late.map(migrationLabel).join(', ')} ${late.length > 1 ? 'are' : 'is'} older than the latest applied version ${latest.version}, and will run after it`);
+  }
+  if (ignored.length > 0) {
+    warnings.push(`Ignored, as not named <version>_<name>.up.sql, or a down file without its up file: ${ignored.join(', ')}`);
+  }
+  if (warnings.length > 0) output.warnings = warnings;
+
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify(output, null, 2)
+    }]
+  };
+}
+
+async function handleMigrateUp(args) {
+  const config = migrationConfig();
+  const { steps, to } = migrationRange(args, null);
+  const timeoutMs = timeoutFor(args);
+  const dryRun = args.dry_run === true;
+
+  return await withMigrationLock(config, async client => {
+    const { entries } = await migrationState(client, config);
+    assertNoDrift(entries);
+    if (to !== null && !entries.some(entry => BigInt(entry.key) === to)) {
+      throw new McpError(ErrorCode.InvalidParams, `No migration has version ${args.to}`);
+    }
+    const pending = entries.filter(entry => entry.status === 'pending' && (to === null || BigInt(entry.key) <= to))
+      .slice(0, steps ?? undefined);
+    for (const entry of pending) assertMigrationAllowed(entry.migration.up);
+    await assertMigrationTablesAllowed(client, pending.map(entry => entry.migration.up));
+    noteAudit({ sql: migrationAuditSql(pending, 'up') });
+
+    const applied = await runMigrations(client, config, pending, 'up', dryRun, timeoutMs);
+    const remaining = entries.filter(entry => entry.status === 'pending' && (dryRun || !pending.includes(entry)));
+    const current = entries.filter(entry => entry.status !== 'pending' || (!dryRun && pending.includes(entry))).at(-1);
+    const output = {
+      connection: currentConnection().name,
+      applied,
+      current_version: current?.version ?? null,
+      pending: remaining.length
+    };
+    if (dryRun) {
+      output.rolledBack = true;
+      output.note = `Dry run: ${applied.length} migration${applied.length === 1 ? '' : 's'} applied cleanly in one transaction, which was rolled back`;
+    } else if (applied.length === 0) {
+      output.note = 'Nothing to apply';
     }
 
     return {
       content: [{
         type: "text",
-        text: JSON.stringify(response, null, 2)
+        text: JSON.stringify(output, null, 2)
       }]
     };
-  } catch (error) {
-    const enhanced = await enhanceError(error, args.sql);
-    throw new McpError(ErrorCode.InvalidParams, enhanced);
-  }
+  });
 }
 
-async function handleExecute(args) {
-  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
-
-  if (args.sql.trim().toLowerCase().startsWith('select')) {
-    throw new McpError(ErrorCode.InvalidParams, "Use query tool for SELECT");
-  }
+async function handleMigrateDown(args) {
+  const config = migrationConfig();
+  const { steps, to } = migrationRange(args, 1);
+  const timeoutMs = timeoutFor(args);
+  const dryRun = args.dry_run === true;
 
-  try {
-    const result = await pool.query({ text: args.sql, values: args.params || [], statement_timeout: QUERY_TIMEOUT });
+  return await withMigrationLock(config, async client => {
+    const { entries } = await migrationState(client, config);
+    assertNoDrift(entries);
+    const applied = entries.filter(entry => entry.status === 'applied').reverse();
+    const reverting = to === null ? applied.slice(0, steps) : applied.filter(entry => BigInt(entry.key) > to);
+    for (const entry of reverting) {
+      if (!entry.migration.down) {
+        throw new McpError(ErrorCode.InvalidParams,
+          `${migrationLabel(entry)} cannot be reverted: it has no ${migrationLabel(entry)}.down.sql. Add one, or write a new migration that undoes it`);
+      }
+      assertMigrationAllowed(entry.migration.down);
+    }
+    await assertMigrationTablesAllowed(client, reverting.map(entry => entry.migration.down));
+    noteAudit({ sql: migrationAuditSql(reverting, 'down') });
 
-    // Invalidate schema cache on DDL statements
-    const firstWord = args.sql.trim().split(/\s+/)[0].toUpperCase();
-    if (['CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME'].includes(firstWord)) {
-      invalidateSchemaCache();
+    const reverted = await runMigrations(client, config, reverting, 'down', dryRun, timeoutMs);
+    const current = applied[dryRun ? 0 : reverted.length];
+    const output = {
+      connection: currentConnection().name,
+      reverted,
+      current_version: current?.version ?? null
+    };
+    if (dryRun) {
+      output.rolledBack = true;
+      output.note = `Dry run: ${reverted.length} migration${reverted.length === 1 ? '' : 's'} reverted cleanly in one transaction, which was rolled back`;
+    } else if (reverted.length === 0) {
+      output.note = 'Nothing to revert';
     }
 
     return {
       content: [{
         type: "text",
-        text: JSON.stringify({
-          command: result.command,
-          rowCount: result.rowCount
-        }, null, 2)
+        text: JSON.stringify(output, null, 2)
       }]
     };
-  } catch (error) {
-    const enhanced = await enhanceError(error, args.sql);
-    throw new McpError(ErrorCode.InvalidParams, enhanced);
+  });
+}
+
+// Helper: Version of a new migration: the next number at the width the directory already uses (four
+// digits to start), or the current UTC time when versions are timestamps (YYYYMMDDHHMMSS)
+function nextMigrationVersion(migrations, now = new Date()) {
+  const last = migrations.at(-1);
+  const next = BigInt(last?.key ?? 0) + 1n;
+  if (last && last.version.length >= 14) {
+    const stamp = now.toISOString().replace(/\D/g, '').slice(0, 14);
+    return BigInt(stamp) >= next ? stamp : next.toString();
   }
+  return next.toString().padStart(Math.max(4, ...migrations.map(m => m.version.length)), '0');
 }
 
-async function handleGetTables() {
-  const result = await pool.query(`
-    SELECT t.table_name,
-           pg_size_pretty(pg_total_relation_size(quote_ident(t.table_name))) as size,
-           (SELECT count(*) FROM information_schema.columns c
-            WHERE c.table_name = t.table_name AND c.table_schema = 'public') as cols
-    FROM information_schema.tables t
-    WHERE t.table_schema = 'public' AND t.table_type = 'BASE TABLE'
-    ORDER BY t.table_name
-  `);
+async function handleCreateMigration(args) {
+  if (!args.name) throw new McpError(ErrorCode.InvalidParams, "name required");
+  const config = migrationConfig();
+  const name = String(args.name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name || name.length > MAX_MIGRATION_NAME) {
+    throw new McpError(ErrorCode.InvalidParams, `name must hold letters or digits and become at most ${MAX_MIGRATION_NAME} characters`);
+  }
+  for (const direction of ['up', 'down']) {
+    if (args[direction] !== undefined) migrationStatements(direction, String(args[direction]));
+  }
+
+  const { migrations } = await readMigrations(config.dir);
+  const base = `${nextMigrationVersion(migrations)}_${name}`;
+  const contents = {
+    up: args.up !== undefined ? `${String(args.up).trim()}\n` : `-- ${base}: write the change here\n`,
+    down: args.down !== undefined ? `${String(args.down).trim()}\n` : `-- ${base}: write the statements that undo ${base}.up.sql here\n`
+  };
+
+  // wx: an existing migration is never overwritten
+  await mkdir(config.dir, { recursive: true });
+  const files = {};
+  for (const direction of ['up', 'down']) {
+    files[direction] = join(config.dir, `${base}.${direction}.sql`);
+    try {
+      await writeFile(files[direction], contents[direction], { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') throw new McpError(ErrorCode.InvalidParams, `${files[direction]} already exists`);
+      throw error;
+    }
+  }
+
+  const placeholders = ['up', 'down'].filter(direction => args[direction] === undefined);
+  const output = { version: base.slice(0, base.indexOf('_')), name, files };
+  output.note = placeholders.length > 0
+    ? `Fill in the ${placeholders.join(' and ')} file${placeholders.length > 1 ? 's' : ''}, then apply the migration with migrate_up`
+    : 'Review the files, then apply the migration with migrate_up (dry_run: true checks it first)';
 
   return {
     content: [{
       type: "text",
-      text: JSON.stringify({ tables: result.rows }, null, 2)
+      text: JSON.stringify(output, null, 2)
     }]
   };
 }
 
-async function handleGetSchema(args) {
-  // Build exclusion clause for backup/archive tables
-  const includeAll = args.include_all === true;
-  const excludeClause = includeAll ? '' : `
-    AND c.relname NOT LIKE '%_backup%'
-    AND c.relname NOT LIKE '%_archive%'
-    AND c.relname NOT LIKE '%_bak_%'
-    AND c.relname NOT LIKE '%_old_%'
-    AND c.relname !~ '_\\d{6,8}$'
-  `;
+// ── Saved queries ──
+// save_query keeps named, read-only queries in SAVED_QUERIES_FILE, a JSON object keyed by name. Each
+// $n placeholder has a parameter definition; run_saved_query binds named arguments to them after
+// checking their types, then runs the SQL as the query tool does. Query calls are also kept in a
+// short per-session history, from which save_query can promote one.
 
-  // Specific tables override limit/offset
-  const hasSpecificTables = args.tables?.length > 0;
-  const tableFilter = hasSpecificTables ? `AND c.relname = ANY($1)` : '';
+const SAVED_QUERIES_VERSION = 1;
+const SAVED_QUERY_NAME = /^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/;
+const PARAMETER_NAME = /^[a-zA-Z_][a-zA-Z0-9_]{0,62}$/;
+let savedQueryWrites = Promise.resolve();
 
-  // Pagination
-  const limit = hasSpecificTables ? 200 : Math.min(Math.max(1, args.limit || 50), 200);
-  const offset = hasSpecificTables ? 0 : Math.max(0, args.offset || 0);
+// Helper: Add a query call to the session's history and pass its response through
+function rememberQuery(args, response) {
+  if (QUERY_HISTORY_SIZE === 0) return response;
+  const session = currentSession();
+  const connection = currentConnection().name;
+  const sql = args.sql.trim();
+  const history = queryHistory.get(session) ?? [];
+  const index = history.findIndex(entry => entry.sql === sql && entry.connection === connection);
+  const [previous] = index === -1 ? [] : history.splice(index, 1);
+  history.unshift({
+    id: previous?.id ?? `hist_${randomUUID().slice(0, 8)}`,
+    sql,
+    params: args.params ?? [],
+    connection,
+    runs: (previous?.runs ?? 0) + 1,
+    lastRunAt: new Date().toISOString()
+  });
+  history.length = Math.min(history.length, QUERY_HISTORY_SIZE);
+  queryHistory.set(session, history);
+  return response;
+}
 
-  const query = `
-    SELECT
-      c.relname as table_name,
-      pg_size_pretty(pg_total_relation_size(c.oid)) as size,
-      pg_total_relation_size(c.oid) as size_bytes,
-      c.reltuples::bigint as row_estimate,
-      obj_description(c.oid) as comment,
-      (SELECT count(*) FROM information_schema.columns ic
-       WHERE ic.table_name = c.relname AND ic.table_schema = 'public') as col_count
-    FROM pg_class c
-    JOIN pg_namespace n ON n.oid = c.relnamespace
-    WHERE n.nspname = 'public'
-      AND c.relkind = 'r'
-      ${tableFilter}
-      ${excludeClause}
-    ORDER BY pg_total_relation_size(c.oid) DESC
-    LIMIT ${limit} OFFSET ${offset}
-  `;
+async function readSavedQueries(file = SAVED_QUERIES_FILE) {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  let store;
+  try {
+    store = JSON.parse(text);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, `Saved queries file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (store.version !== SAVED_QUERIES_VERSION) {
+    throw new McpError(ErrorCode.InvalidParams, `Saved queries file ${file} has format version ${store.version}; expected ${SAVED_QUERIES_VERSION}`);
+  }
+  return store.queries ?? {};
+}
 
-  const params = hasSpecificTables ? [args.tables] : [];
-  const result = await pool.query(query, params);
+// Helper: Change the saved queries with fn. Updates are queued so two saves never drop each other's
+// query, and each replaces the file with one rename; the file is readable by its owner only.
+function updateSavedQueries(fn, file = SAVED_QUERIES_FILE) {
+  const update = savedQueryWrites.then(async () => {
+    const queries = await readSavedQueries(file);
+    const result = fn(queries);
+    await mkdir(dirname(file), { recursive: true, mode: 0o700 });
+    const temp = `${file}.${process.pid}.tmp`;
+    await writeFile(temp, `${JSON.stringify({ version: SAVED_QUERIES_VERSION, queries }, null, 2)}\n`, { mode: 0o600 });
+    await rename(temp, file);
+    return result;
+  });
+  savedQueryWrites = update.catch(() => {});
+  return update;
+}
 
-  // Get total count for pagination info
-  const countQuery = `
-    SELECT count(*) as total
-    FROM pg_class c
-    JOIN pg_namespace n ON n.oid = c.relnamespace
-    WHERE n.nspname = 'public' AND c.relkind = 'r'
-    ${excludeClause}
-  `;
-  const countResult = await pool.query(countQuery);
-  const totalTables = parseInt(countResult.rows[0].total);
+// Helper: Highest $n placeholder of a statement
+function placeholderCount(statement) {
+  return Math.max(0, ...statement.tokens.filter(token => token.type === 'param').map(token => Number(token.value.slice(1))));
+}
 
-  // Build structured output
-  const tables = result.rows.map(row => {
-    const table = {
-      name: row.table_name,
-      size: row.size,
-      rows: row.row_estimate,
-      columns: parseInt(row.col_count)
+const PARAMETER_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value) && value.every(item => item === null || ['string', 'number', 'boolean'].includes(typeof item))
+};
+
+// Helper: Parameter type of a value last bound to a placeholder
+function parameterType(value) {
+  return Object.keys(PARAMETER_CHECKS).find(type => type !== 'string' && PARAMETER_CHECKS[type](value)) ?? 'string';
+}
+
+// Helper: Reject a value that does not fit a parameter's type and allowed values
+function assertArgument(parameter, value) {
+  if (!PARAMETER_CHECKS[parameter.type](value)) {
+    const expected = { integer: 'an integer', array: 'an array of strings, numbers or booleans' }[parameter.type] ?? `a ${parameter.type}`;
+    throw new McpError(ErrorCode.InvalidParams, `Argument "${parameter.name}" must be ${expected}, not ${JSON.stringify(value)}`);
+  }
+  if (parameter.enum && !parameter.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Argument "${parameter.name}" must be one of ${parameter.enum.map(option => JSON.stringify(option)).join(', ')}, not ${JSON.stringify(value)}`);
+  }
+}
+
+// Helper: Checked parameter definitions of save_query, one per placeholder in order
+function savedQueryParameters(parameters, count) {
+  if (!Array.isArray(parameters)) {
+    throw new McpError(ErrorCode.InvalidParams, "parameters must be an array with one definition per $n placeholder, $1 first");
+  }
+  if (parameters.length !== count) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `The SQL has ${count === 0 ? 'no placeholders' : `placeholders $1 to $${count}`} but ${parameters.length} parameter${parameters.length === 1 ? ' is' : 's are'} defined. Define one per placeholder, $1 first`);
+  }
+
+  const names = new Set();
+  return parameters.map((parameter, i) => {
+    if (typeof parameter?.name !== 'string' || !PARAMETER_NAME.test(parameter.name)) {
+      throw new McpError(ErrorCode.InvalidParams, `Parameter ${i + 1} needs a name of letters, digits and _, starting with a letter or _`);
+    }
+    if (names.has(parameter.name)) throw new McpError(ErrorCode.InvalidParams, `Parameter name "${parameter.name}" is used twice`);
+    names.add(parameter.name);
+
+    const definition = { name: parameter.name, type: parameter.type ?? 'string' };
+    if (!SAVED_QUERY_TYPES.includes(definition.type)) {
+      throw new McpError(ErrorCode.InvalidParams,
+        `Parameter "${parameter.name}" has type "${definition.type}". Expected one of: ${SAVED_QUERY_TYPES.join(', ')}`);
+    }
+    if (parameter.description !== undefined) definition.description = String(parameter.description);
+    if (parameter.enum !== undefined) {
+      if (!Array.isArray(parameter.enum) || parameter.enum.length === 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Parameter "${parameter.name}": enum must be a non-empty array of allowed values`);
+      }
+      for (const option of parameter.enum) assertArgument(definition, option);
+      definition.enum = parameter.enum;
+    }
+    if (parameter.default !== undefined) {
+      assertArgument(definition, parameter.default);
+      definition.default = parameter.default;
+    }
+    if (parameter.required === false) definition.required = false;
+    return definition;
+  });
+}
+
+// Helper: Positional params of a saved query from named arguments, defaults filled in. Optional
+// parameters left out bind NULL.
+function savedQueryArguments(name, query, values) {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    throw new McpError(ErrorCode.InvalidParams, "args must be an object of argument values by parameter name");
+  }
+  const names = query.parameters.map(parameter => parameter.name);
+  const unknown = Object.keys(values).filter(key => !names.includes(key));
+  if (unknown.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Unknown argument${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} for saved query "${name}". Parameters: ${names.join(', ') || '(none)'}`);
+  }
+
+  const given = parameter => Object.hasOwn(values, parameter.name) && values[parameter.name] !== null ? values[parameter.name] : parameter.default;
+  const missing = query.parameters.filter(parameter => given(parameter) === undefined && parameter.required !== false);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Saved query "${name}" needs ${missing.map(parameter =>
+      `${parameter.name} (${parameter.type}${parameter.description ? `: ${parameter.description}` : ''})`).join(', ')}`);
+  }
+  return query.parameters.map(parameter => {
+    const value = given(parameter);
+    if (value === undefined) return null;
+    assertArgument(parameter, value);
+    return value;
+  });
+}
+
+async function handleSaveQuery(args) {
+  if (!args.name || !args.description) throw new McpError(ErrorCode.InvalidParams, "name and description required");
+  if (typeof args.name !== 'string' || !SAVED_QUERY_NAME.test(args.name)) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid saved query name "${args.name}". Use up to 64 letters, digits, _ and -, starting with a letter`);
+  }
+  if ((args.sql === undefined) === (args.from_history === undefined)) {
+    throw new McpError(ErrorCode.InvalidParams, "Pass sql, or from_history with the id of a history entry, but not both");
+  }
+
+  let sql = args.sql;
+  let parameters = args.parameters;
+  if (args.from_history !== undefined) {
+    const entry = (queryHistory.get(currentSession()) ?? []).find(item => item.id === args.from_history);
+    if (!entry) {
+      throw new McpError(ErrorCode.InvalidParams, `History entry "${args.from_history}" not found. list_saved_queries shows this session's recent queries`);
+    }
+    sql = entry.sql;
+    parameters ??= entry.params.map((value, i) => ({ name: `p${i + 1}`, type: parameterType(value) }));
+  }
+
+  const statements = classifySql(String(sql));
+  if (statements.length !== 1) {
+    throw new McpError(ErrorCode.InvalidParams, statements.length === 0 ? "sql required" : "A saved query holds one statement");
+  }
+  if (!statements[0].readOnly) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Only read-only queries can be saved; this statement modifies data (${describeStatement(statements[0])})`);
+  }
+  const definitions = savedQueryParameters(parameters ?? [], placeholderCount(statements[0]));
+
+  const now = new Date().toISOString();
+  const replaced = await updateSavedQueries(queries => {
+    const existing = Object.hasOwn(queries, args.name) ? queries[args.name] : null;
+    if (existing && args.replace !== true) {
+      throw new McpError(ErrorCode.InvalidParams, `A saved query named "${args.name}" already exists. Pass replace: true to overwrite it`);
+    }
+    queries[args.name] = {
+      description: String(args.description),
+      sql: String(sql).trim(),
+      parameters: definitions,
+      created_at: existing?.created_at ?? now,
+      updated_at: now
     };
-    if (row.comment) table.comment = row.comment;
-    return table;
+    return existing !== null;
   });
 
-  const output = {
-    tables,
-    pagination: {
-      returned: tables.length,
-      total: totalTables,
-      offset,
-      limit,
-      has_more: offset + tables.length < totalTables
-    }
+  return {
+    content: [{
+      type: "text",
+      text: JSON.stringify({ name: args.name, replaced, file: SAVED_QUERIES_FILE, parameters: definitions }, null, 2)
+    }]
   };
+}
 
-  if (!includeAll) {
-    output.note = "Backup/archive tables excluded. Use include_all:true to see all.";
-  }
+async function handleListSavedQueries(args) {
+  const search = args.search?.toLowerCase();
+  const queries = await readSavedQueries();
+  const names = Object.keys(queries).sort();
+  const savedAs = new Map(names.map(name => [queries[name].sql, name]));
+
+  const output = {
+    file: SAVED_QUERIES_FILE,
+    saved: names
+      .filter(name => !search || name.toLowerCase().includes(search) || queries[name].description.toLowerCase().includes(search))
+      .map(name => {
+        const { description, parameters, sql, updated_at } = queries[name];
+        return { name, description, parameters, sql, updated_at };
+      }),
+    history: (queryHistory.get(currentSession()) ?? [])
+      .filter(entry => !search || entry.sql.toLowerCase().includes(search))
+      .map(entry => {
+        const item = { id: entry.id, sql: entry.sql };
+        if (entry.params.length > 0) item.params = entry.params;
+        if (CONNECTIONS.size > 1) item.connection = entry.connection;
+        item.runs = entry.runs;
+        item.last_run_at = entry.lastRunAt;
+        if (savedAs.has(entry.sql)) item.saved_as = savedAs.get(entry.sql);
+        return item;
+      })
+  };
+  if (QUERY_HISTORY_SIZE === 0) output.note = 'Query history is off (NEON_PG_QUERY_HISTORY=0)';
 
   return {
     content: [{
@@ -415,241 +6315,581 @@ async function handleGetSchema(args) {
   };
 }
 
-async function handleDescribeTable(args) {
-  if (!args.table) throw new McpError(ErrorCode.InvalidParams, "table required");
-  assertSafeIdentifier(args.table, 'table name');
-
-  const [cols, pks, fks, idxs, stats] = await Promise.all([
-    // Get columns with enum type names
-    pool.query(`
-      SELECT
-        c.column_name as col,
-        c.data_type as type,
-        c.udt_name as udt,
-        c.is_nullable as nullable,
-        c.column_default as default
-      FROM information_schema.columns c
-      WHERE c.table_schema = 'public' AND c.table_name = $1
-      ORDER BY c.ordinal_position
-    `, [args.table]),
+async function handleRunSavedQuery(args) {
+  if (!args.name) throw new McpError(ErrorCode.InvalidParams, "name required");
+  const queries = await readSavedQueries();
+  if (!Object.hasOwn(queries, args.name)) {
+    const similar = findSimilar(args.name, Object.keys(queries));
+    throw new McpError(ErrorCode.InvalidParams,
+      `Saved query "${args.name}" not found.${similar.length > 0 ? ` Did you mean: ${similar.join(', ')}?` : ''} list_saved_queries shows them all`);
+  }
+  const query = queries[args.name];
+  noteAudit({ sql: auditSql(query.sql) });
+  const params = savedQueryArguments(args.name, query, args.args ?? {});
+  noteAudit({ params: auditParams(params) });
 
-    pool.query(`
-      SELECT kcu.column_name
-      FROM information_schema.table_constraints tc
-      JOIN information_schema.key_column_usage kcu ON tc.constraint_name = kcu.constraint_name
-      WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = 'public' AND tc.table_name = $1
-    `, [args.table]),
+  return await handleQuery({
+    sql: query.sql,
+    params,
+    transaction: args.transaction,
+    page_size: args.page_size,
+    timeout_ms: args.timeout_ms,
+    format: args.format
+  });
+}
 
-    pool.query(`
-      SELECT kcu.column_name as col, ccu.table_name as ref_table, ccu.column_name as ref_col
-      FROM information_schema.table_constraints tc
-      JOIN information_schema.key_column_usage kcu ON tc.constraint_name = kcu.constraint_name
-      JOIN information_schema.constraint_column_usage ccu ON tc.constraint_name = ccu.constraint_name
-      WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = 'public' AND tc.table_name = $1
-    `, [args.table]),
+// Tables and views in searched schemas first, one page per cursor (the cursor is an offset)
+async function handleListResources(cursor) {
+  const offset = cursor === undefined ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) throw new McpError(ErrorCode.InvalidParams, `Invalid cursor "${cursor}"`);
 
-    pool.query(`
-      SELECT indexname, indexdef FROM pg_indexes
-      WHERE schemaname = 'public' AND tablename = $1
-    `, [args.table]),
+  // Names that are not safe identifiers could not be read back, so they are not listed
+  const result = await currentPool().query(`
+    SELECT t.table_schema, t.table_name, t.table_type,
+           obj_description(format('%I.%I', t.table_schema, t.table_name)::regclass, 'pg_class') AS comment
+    FROM information_schema.tables t
+    WHERE t.table_schema NOT IN ('pg_catalog', 'information_schema')
+      AND t.table_schema NOT LIKE 'pg_toast%' AND t.table_schema NOT LIKE 'pg_temp%'
+      AND t.table_schema ~ '^[a-zA-Z_][a-zA-Z0-9_]*$' AND t.table_name ~ '^[a-zA-Z_][a-zA-Z0-9_]*$'
+    ORDER BY array_position($1::text[], t.table_schema::text), t.table_schema, t.table_name
+    LIMIT $2 OFFSET $3
+  `, [searchSchemas(), RESOURCE_PAGE_SIZE + 1, offset]);
 
-    pool.query(`
-      SELECT pg_size_pretty(pg_total_relation_size(quote_ident($1))) as size,
-             (SELECT reltuples::bigint FROM pg_class WHERE relname = $1) as rows
-    `, [args.table])
-  ]);
+  const page = result.rows.slice(0, RESOURCE_PAGE_SIZE);
+  const response = {
+    resources: page.map(r => ({
+      uri: tableResourceUri(r.table_schema, r.table_name),
+      name: qualifiedName(r.table_schema, r.table_name),
+      description: r.comment || `${r.table_type === 'VIEW' ? 'View' : 'Table'} definition: columns, keys and indexes`,
+      mimeType: "application/json"
+    }))
+  };
+  if (result.rows.length > RESOURCE_PAGE_SIZE) response.nextCursor = String(offset + RESOURCE_PAGE_SIZE);
+  return response;
+}
 
-  if (cols.rowCount === 0) {
-    throw new McpError(ErrorCode.InvalidParams, `Table '${args.table}' not found`);
+async function handleReadResource(uri) {
+  const match = uri.match(/^postgres:\/\/([^/]+)\/([^/]+)\/(?:schema|rows\/([^/]+))$/);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams,
+      `Unknown resource "${uri}". Expected postgres://<schema>/<table>/schema or postgres://<schema>/<table>/rows/<key>`);
   }
 
-  // Find enum columns and get their values
-  const enumCols = cols.rows.filter(c => c.type === 'USER-DEFINED');
-  let enums = {};
+  let data;
+  try {
+    const [schema, table] = [match[1], match[2]].map(decodeURIComponent);
+    assertSafeIdentifier(schema, 'schema name');
+    assertSafeIdentifier(table, 'table name');
+    data = match[3] === undefined ? await describeTable(schema, table) : await readRowByKey(schema, table, match[3]);
+    data.redacted = appliedRedactions();
+  } catch (error) {
+    if (error instanceof McpError) throw error;
+    throw new McpError(ErrorCode.InvalidParams, `Cannot read ${uri}: ${error.message}`);
+  }
 
-  if (enumCols.length > 0) {
-    const enumNames = [...new Set(enumCols.map(c => c.udt))];
-    const enumResult = await pool.query(`
-      SELECT t.typname, array_agg(e.enumlabel ORDER BY e.enumsortorder) as values
-      FROM pg_type t
-      JOIN pg_enum e ON t.oid = e.enumtypid
-      WHERE t.typname = ANY($1)
-      GROUP BY t.typname
-    `, [enumNames]);
+  return {
+    contents: [{
+      uri,
+      mimeType: "application/json",
+      text: JSON.stringify(data, null, 2)
+    }]
+  };
+}
 
-    for (const row of enumResult.rows) {
-      enums[row.typname] = row.values;
-    }
+// Helper: One row by its primary key; key is the encoded, comma-separated key values from a row URI
+async function readRowByKey(schema, table, key) {
+  const name = qualifiedName(schema, table);
+  const { tables } = await getSchemaCache();
+  if (!tables.some(t => t.table_schema === schema && t.table_name === table)) {
+    throw new McpError(ErrorCode.InvalidParams, `Table "${name}" not found (rows can only be read from tables)`);
   }
 
-  // Get JSONB column keys (sample from first row with data)
-  const jsonbCols = cols.rows.filter(c => c.type === 'jsonb');
-  let jsonbKeys = {};
-
-  for (const jcol of jsonbCols) {
-    try {
-      assertSafeIdentifier(jcol.col, 'column name');
-      const keysResult = await pool.query(`
-        SELECT DISTINCT jsonb_object_keys(${jcol.col}) as key
-        FROM ${args.table}
-        WHERE ${jcol.col} IS NOT NULL
-        LIMIT 15
-      `);
-      if (keysResult.rows.length > 0) {
-        jsonbKeys[jcol.col] = keysResult.rows.map(r => r.key);
-      }
-    } catch (e) {
-      // Column might have non-object jsonb, skip
-    }
+  const pkCols = await primaryKeyColumns(currentPool(), { schema, table });
+  if (pkCols.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Table "${name}" has no primary key; use the query tool instead`);
+  }
+  const values = key.split(',').map(decodeURIComponent);
+  if (values.length !== pkCols.length) {
+    throw new McpError(ErrorCode.InvalidParams, `Table "${name}" needs ${pkCols.length} key value(s) in this order: ${pkCols.join(', ')}`);
   }
 
-  // Clean up column output
-  const columns = cols.rows.map(c => {
-    const col = { col: c.col, type: c.type, nullable: c.nullable };
-    if (c.default) col.default = c.default;
-    if (c.type === 'USER-DEFINED') col.enumType = c.udt;
-    return col;
+  const result = await currentPool().query({
+    text: `SELECT * FROM ${sqlTableName(schema, table)} WHERE ${pkCols.map((c, i) => `"${c}" = $${i + 1}`).join(' AND ')}`,
+    values,
+    types: RAW_TYPES
   });
+  const keyValues = Object.fromEntries(pkCols.map((c, i) => [c, values[i]]));
+  if (result.rowCount === 0) {
+    throw new McpError(ErrorCode.InvalidParams, `No row in "${name}" with key ${JSON.stringify(keyValues)}`);
+  }
+  await serializeResult(result);
 
-  const result = {
-    table: args.table,
-    columns,
-    primaryKeys: pks.rows.map(r => r.column_name),
-    size: stats.rows[0]?.size,
-    rowEstimate: stats.rows[0]?.rows || 0
-  };
-
-  // Only include if non-empty
-  if (fks.rows.length > 0) result.foreignKeys = fks.rows;
-  if (idxs.rows.length > 0) result.indexes = idxs.rows.map(i => i.indexname);
-  if (Object.keys(enums).length > 0) result.enums = enums;
-  if (Object.keys(jsonbKeys).length > 0) result.jsonbKeys = jsonbKeys;
+  return { table: name, key: keyValues, row: result.rows[0] };
+}
 
+// Helper: A prompt result holding one user message
+function promptResult(description, text) {
   return {
-    content: [{
-      type: "text",
-      text: JSON.stringify(result, null, 2)
-    }]
+    description,
+    messages: [{ role: "user", content: { type: "text", text } }]
   };
 }
 
-async function handleSampleData(args) {
-  if (!args.table) throw new McpError(ErrorCode.InvalidParams, "table required");
+// Helper: describeTable output as compact text for prompts
+function tableContext(def) {
+  const foreignKeys = new Map((def.foreignKeys || []).map(fk => [fk.col, `${fk.ref_table}.${fk.ref_col}`]));
+  const rows = def.rowEstimate >= 0 ? `~${def.rowEstimate} rows` : 'row count unknown';
+  const lines = [`### ${def.table} (${rows})`];
 
-  const { tables } = await getSchemaCache();
-  if (!tables.includes(args.table)) {
-    const suggestions = findSimilar(args.table, tables);
-    throw new McpError(ErrorCode.InvalidParams,
-      `Table "${args.table}" not found\n\nDid you mean: ${suggestions.length > 0 ? suggestions.join(', ') : '(no similar tables)'}`);
+  for (const c of def.columns) {
+    let line = `- ${c.col} ${c.enumType || c.type}`;
+    if (def.primaryKeys.includes(c.col)) line += ' PRIMARY KEY';
+    else if (c.nullable === 'NO') line += ' NOT NULL';
+    if (foreignKeys.has(c.col)) line += ` -> ${foreignKeys.get(c.col)}`;
+    if (def.enums?.[c.enumType]) line += ` (one of: ${def.enums[c.enumType].join(', ')})`;
+    if (def.jsonbKeys?.[c.col]) line += ` (keys: ${def.jsonbKeys[c.col].join(', ')})`;
+    lines.push(line);
   }
+  if (def.indexes) lines.push(`Indexes: ${def.indexes.join(', ')}`);
+  return lines.join('\n');
+}
 
-  assertSafeIdentifier(args.table, 'table name');
+// Helper: Definitions of existing tables as prompt text, at most PROMPT_CONTEXT_TABLES of them
+async function tablesContext(targets) {
+  const defs = await Promise.all(targets.slice(0, PROMPT_CONTEXT_TABLES).map(t => describeTable(t.schema, t.table)));
+  return defs.map(tableContext).join('\n\n');
+}
 
-  const limit = Math.min(Math.max(1, args.limit || 3), 10);
+// Helper: Tables whose names or columns share words with the question, best matches first
+async function relevantTables(question, schemas) {
+  const { tables, columns } = await getSchemaCache();
+  const stem = word => word.endsWith('ies') ? `${word.slice(0, -3)}y` : word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+  const words = new Set((question.toLowerCase().match(/[a-z0-9]+/g) || []).filter(w => w.length > 2).map(stem));
+  const matches = name => name.toLowerCase().split('_').some(part => words.has(stem(part)));
+
+  return tables
+    .filter(t => schemas.includes(t.table_schema) && SAFE_IDENTIFIER.test(t.table_name))
+    .map(t => ({
+      schema: t.table_schema,
+      table: t.table_name,
+      score: (matches(t.table_name) ? 3 : 0) +
+        columns.filter(c => c.table_schema === t.table_schema && c.table_name === t.table_name && matches(c.column_name)).length
+    }))
+    .filter(t => t.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+async function exploreDatabasePrompt(args) {
+  const schemas = schemasFor(args);
+
+  const [tables, foreignKeys, enums] = await Promise.all([
+    currentPool().query(`
+      SELECT n.nspname AS schema, c.relname AS name, c.relkind, c.reltuples::bigint AS rows,
+             obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p', 'v', 'm') AND NOT c.relispartition AND n.nspname = ANY($1)
+      ORDER BY c.reltuples DESC, n.nspname, c.relname
+      LIMIT $2
+    `, [schemas, PROMPT_TABLE_LIST_LIMIT]),
+
+    currentPool().query(`
+      SELECT sn.nspname AS from_schema, s.relname AS from_table, tn.nspname AS to_schema, t.relname AS to_table,
+             (SELECT string_agg(a.attname, ', ') FROM unnest(con.conkey) AS k(attnum)
+              JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum) AS columns
+      FROM pg_constraint con
+      JOIN pg_class s ON s.oid = con.conrelid
+      JOIN pg_namespace sn ON sn.oid = s.relnamespace
+      JOIN pg_class t ON t.oid = con.confrelid
+      JOIN pg_namespace tn ON tn.oid = t.relnamespace
+      WHERE con.contype = 'f' AND sn.nspname = ANY($1)
+      ORDER BY sn.nspname, s.relname, con.conname
+    `, [schemas]),
+
+    currentPool().query(`
+      SELECT n.nspname AS schema, t.typname AS name, array_agg(e.enumlabel::text ORDER BY e.enumsortorder) AS values
+      FROM pg_type t
+      JOIN pg_enum e ON e.enumtypid = t.oid
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      WHERE n.nspname = ANY($1)
+      GROUP BY n.nspname, t.typname
+      ORDER BY n.nspname, t.typname
+    `, [schemas])
+  ]);
+
+  const kinds = { r: 'table', p: 'partitioned table', v: 'view', m: 'materialized view' };
+  const sections = [
+    `Explore this PostgreSQL database (schemas: ${schemas.join(', ')}) and explain what it stores. ` +
+      'Summarize the main entities and how they relate, point out anything unusual, and suggest a few useful starting queries. ' +
+      'Use describe_table and sample_data to look closer at individual tables.',
+    `## Tables, largest first\n${tables.rows.map(t =>
+      `- ${qualifiedName(t.schema, t.name)} (${kinds[t.relkind]}${t.rows >= 0 ? `, ~${t.rows} rows` : ''})${t.comment ? `: ${t.comment}` : ''}`
+    ).join('\n') || '(none)'}`
+  ];
+  if (tables.rows.length === PROMPT_TABLE_LIST_LIMIT) {
+    sections.push(`Only the ${PROMPT_TABLE_LIST_LIMIT} largest are listed; use get_tables for the rest.`);
+  }
+  if (foreignKeys.rows.length > 0) {
+    sections.push(`## Foreign keys\n${foreignKeys.rows.map(fk =>
+      `- ${qualifiedName(fk.from_schema, fk.from_table)} (${fk.columns}) -> ${qualifiedName(fk.to_schema, fk.to_table)}`
+    ).join('\n')}`);
+  }
+  if (enums.rows.length > 0) {
+    sections.push(`## Enums\n${enums.rows.map(e => `- ${qualifiedName(e.schema, e.name)}: ${e.values.join(', ')}`).join('\n')}`);
+  }
+
+  return promptResult(`Explore schemas ${schemas.join(', ')}`, sections.join('\n\n'));
+}
+
+async function writeQueryPrompt(args) {
+  if (!args.question) throw new McpError(ErrorCode.InvalidParams, "question required");
+
+  let targets;
+  if (args.tables) {
+    targets = await Promise.all(args.tables.split(',').map(t => t.trim()).filter(Boolean).map(table => resolveTable({ table })));
+  } else {
+    targets = await relevantTables(args.question, searchSchemas());
+  }
+
+  const sections = [
+    'Write a PostgreSQL query that answers the question below. Use only the tables and columns shown ' +
+      '(check others with describe_table first), qualify ambiguous columns, and prefer explicit JOINs on the foreign keys. ' +
+      'Run it with the query tool and explain the result.',
+    `Question: ${args.question}`
+  ];
+  if (targets.length > 0) {
+    sections.push(`## Relevant tables\n\n${await tablesContext(targets)}`);
+  }
 
+  const { tables } = await getSchemaCache();
+  const shown = new Set(targets.slice(0, PROMPT_CONTEXT_TABLES).map(t => qualifiedName(t.schema, t.table)));
+  const others = tables
+    .filter(t => searchSchemas().includes(t.table_schema))
+    .map(t => qualifiedName(t.table_schema, t.table_name))
+    .filter(name => !shown.has(name));
+  if (others.length > 0) {
+    sections.push(`## Other tables\n${others.slice(0, PROMPT_TABLE_LIST_LIMIT).join(', ')}${others.length > PROMPT_TABLE_LIST_LIMIT ? ', ...' : ''}`);
+  }
+
+  return promptResult(`Write a query: ${args.question}`, sections.join('\n\n'));
+}
+
+// Helper: Risky patterns in a migration statement that reviewers should look at first
+function migrationChecks(statement) {
+  const text = statement.text;
+  const checks = [];
+  if (/^create\s+(unique\s+)?index\b(?!\s+concurrently)/i.test(text)) {
+    checks.push('CREATE INDEX without CONCURRENTLY blocks writes to the table while the index builds');
+  }
+  if (/\badd\s+(column\s+)?(?:"[^"]+"|[a-z_][a-z0-9_$]*)\s+[^,;]*\bnot\s+null\b/i.test(text) && !/\bdefault\b/i.test(text)) {
+    checks.push('ADD COLUMN ... NOT NULL without a DEFAULT fails on tables that already have rows');
+  }
+  if (/\balter\s+(column\s+)?(?:"[^"]+"|[a-z_][a-z0-9_$]*)\s+(set\s+data\s+)?type\b/i.test(text)) {
+    checks.push('ALTER COLUMN ... TYPE can rewrite the whole table under an ACCESS EXCLUSIVE lock');
+  }
+  if (/\badd\s+(constraint\s+\S+\s+)?(foreign\s+key|check)\b/i.test(text) && !/\bnot\s+valid\b/i.test(text)) {
+    checks.push('Adding a FOREIGN KEY or CHECK constraint without NOT VALID scans the table while holding a lock');
+  }
+  if (['DROP', 'TRUNCATE'].includes(statement.kind) || /\bdrop\s+column\b/i.test(text)) {
+    checks.push(`${statement.kind === 'TRUNCATE' ? 'TRUNCATE' : 'DROP'} permanently removes data`);
+  }
   try {
-    const result = await pool.query(`
-      SELECT * FROM ${args.table}
-      LIMIT ${limit}
-    `);
+    assertWriteAllowed([statement]);
+  } catch (error) {
+    checks.push(`The execute tool would reject it: ${error.message}`);
+  }
+  return checks;
+}
 
-    // For each JSONB column, extract structure from the results
-    const jsonbStructures = {};
-    if (result.rows.length > 0) {
-      const firstRow = result.rows[0];
-      for (const [key, value] of Object.entries(firstRow)) {
-        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
-          // Check if this looks like a JSON object (not a Date or other special object)
-          if (value.constructor === Object || Array.isArray(value)) {
-            jsonbStructures[key] = extractJsonStructure(value, 6);
-          }
-        } else if (Array.isArray(value)) {
-          jsonbStructures[key] = extractJsonStructure(value, 6);
+async function reviewMigrationPrompt(args) {
+  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+  const statements = classifySql(args.sql);
+  if (statements.length === 0) throw new McpError(ErrorCode.InvalidParams, "sql required");
+
+  // Tables the migration touches that exist today, bare names resolved through the search schemas
+  const { tables } = await getSchemaCache();
+  const targets = [];
+  for (const statement of statements) {
+    for (const part of statement.parts) {
+      for (const ref of partTargets(statement, part) || []) {
+        const schema = ref.schema || searchSchemas().find(s => tables.some(t => t.table_schema === s && t.table_name === ref.table));
+        const exists = tables.some(t => t.table_schema === schema && t.table_name === ref.table);
+        if (exists && SAFE_IDENTIFIER.test(ref.table) && !targets.some(t => t.schema === schema && t.table === ref.table)) {
+          targets.push({ schema, table: ref.table });
         }
       }
     }
+  }
 
-    const output = {
-      table: args.table,
-      rowCount: result.rowCount,
-      rows: result.rows
-    };
+  const sections = [
+    'Review this PostgreSQL migration before it is applied. Check locking and downtime on large tables, data loss, ' +
+      'compatibility with existing queries and application code, and how it would be rolled back. ' +
+      'Give a verdict (safe to apply / needs changes), list concrete problems with fixes, and suggest a safer ordering if needed.',
+    `\`\`\`sql\n${args.sql.trim()}\n\`\`\``,
+    `## Statements\n${statements.map((s, i) => {
+      const checks = migrationChecks(s);
+      const snippet = s.text.replace(/\s+/g, ' ');
+      return `${i + 1}. ${describeStatement(s)}: ${snippet.length > 100 ? `${snippet.slice(0, 100)}...` : snippet}` +
+        checks.map(c => `\n   - ${c}`).join('');
+    }).join('\n')}`
+  ];
+  if (targets.length > 0) {
+    sections.push(`## Current definitions of affected tables\n\n${await tablesContext(targets)}`);
+  }
 
-    if (Object.keys(jsonbStructures).length > 0) {
-      output.jsonb_structures = jsonbStructures;
+  return promptResult('Review a migration', sections.join('\n\n'));
+}
+
+async function slowQueryPrompt(args) {
+  if (!args.sql) throw new McpError(ErrorCode.InvalidParams, "sql required");
+  const statements = classifySql(args.sql);
+  if (statements.length !== 1) throw new McpError(ErrorCode.InvalidParams, "Provide one statement");
+  const [statement] = statements;
+
+  // Plan only - the query is not executed here
+  let planSection;
+  const targets = [];
+  if (EXPLAINABLE_STATEMENTS.includes(statement.kind)) {
+    try {
+      const result = await timedQuery(currentPool(), { text: `EXPLAIN (FORMAT JSON, VERBOSE) ${statement.text}` }, QUERY_TIMEOUT);
+      const [explain] = result.rows[0]['QUERY PLAN'];
+      planSection = `## Plan summary (estimated)\n\`\`\`json\n${JSON.stringify(await analyzePlan(explain, currentPool()), null, 2)}\n\`\`\``;
+      for (const { node } of flattenPlan(explain.Plan)) {
+        const target = { schema: node.Schema || 'public', table: node['Relation Name'] };
+        if (target.table && SAFE_IDENTIFIER.test(target.schema) && SAFE_IDENTIFIER.test(target.table) &&
+            !targets.some(t => t.schema === target.schema && t.table === target.table)) {
+          targets.push(target);
+        }
+      }
+    } catch (error) {
+      planSection = `## Plan\nEXPLAIN failed: ${error.message}` +
+        (/\$\d/.test(statement.text) ? '\nSubstitute literal values for the $n parameters to get a plan.' : '');
     }
+  } else {
+    planSection = `## Plan\n${describeStatement(statement)} statements cannot be explained.`;
+  }
 
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify(output, null, 2)
-      }]
-    };
-  } catch (error) {
-    const enhanced = await enhanceError(error, `SELECT * FROM ${args.table}`);
-    throw new McpError(ErrorCode.InvalidParams, enhanced);
+  const sections = [
+    'Investigate why this PostgreSQL query is slow and propose fixes - indexes, query rewrites, statistics or configuration - ' +
+      'most impactful first. Confirm with explain_query (analyze: true) before and after each change.',
+    `\`\`\`sql\n${args.sql.trim()}\n\`\`\``,
+    planSection
+  ];
+  if (targets.length > 0) {
+    sections.push(`## Tables involved\n\n${await tablesContext(targets)}`);
   }
+
+  return promptResult('Investigate a slow query', sections.join('\n\n'));
 }
 
-async function handleSearchSchema(args) {
-  if (!args.pattern) throw new McpError(ErrorCode.InvalidParams, "pattern required");
+// ── HTTP transport ──
+// /mcp serves MCP Streamable HTTP. GET /sse with POST /messages is the older HTTP+SSE transport,
+// kept for clients that don't speak Streamable HTTP yet. Each MCP session gets its own Server.
+const httpSessions = new Map();
 
-  const pattern = args.pattern.toLowerCase();
+// Helper: Plain JSON-RPC error response for requests rejected before they reach a transport
+function sendHttpError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
 
-  // Search tables and columns
-  const result = await pool.query(`
-    SELECT
-      t.table_name,
-      c.column_name,
-      c.data_type,
-      c.udt_name
-    FROM information_schema.tables t
-    JOIN information_schema.columns c ON t.table_name = c.table_name AND t.table_schema = c.table_schema
-    WHERE t.table_schema = 'public'
-      AND t.table_type = 'BASE TABLE'
-      AND (
-        LOWER(t.table_name) LIKE $1
-        OR LOWER(c.column_name) LIKE $1
-      )
-    ORDER BY
-      CASE WHEN LOWER(t.table_name) LIKE $1 THEN 0 ELSE 1 END,
-      t.table_name,
-      c.ordinal_position
-  `, [`%${pattern}%`]);
+// Helper: Check the bearer token. Digests are compared so timingSafeEqual gets equal lengths.
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(authToken));
+}
 
-  // Group results
-  const matchingTables = new Set();
-  const matchingColumns = [];
+// Helper: Without a token the listener is loopback-only; other Host headers mean a web page
+// is trying to reach it through DNS rebinding
+function isAllowedHost(req, authToken) {
+  if (authToken) return true;
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(`http://${req.headers.host}`).hostname.replace(/^\[|\]$/g, ''));
+  } catch {
+    return false;
+  }
+}
 
-  for (const row of result.rows) {
-    if (row.table_name.toLowerCase().includes(pattern)) {
-      matchingTables.add(row.table_name);
-    }
-    if (row.column_name.toLowerCase().includes(pattern)) {
-      let type = row.data_type === 'USER-DEFINED' ? row.udt_name : row.data_type;
-      type = type.replace('character varying', 'varchar')
-                 .replace('timestamp with time zone', 'timestamptz');
-      matchingColumns.push(`${row.table_name}.${row.column_name}(${type})`);
+// Helper: Parse a JSON request body. An oversized one is left unread, so its response closes the
+// connection rather than leave the rest of the body where the next keep-alive request would be read.
+async function readJsonBody(req, res) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_HTTP_BODY_BYTES) {
+      res.setHeader('Connection', 'close');
+      return { error: [413, ErrorCode.InvalidRequest, `Request body exceeds ${MAX_HTTP_BODY_BYTES} bytes`] };
     }
+    chunks.push(chunk);
+  }
+  try {
+    return { body: JSON.parse(Buffer.concat(chunks).toString('utf8')) };
+  } catch {
+    return { error: [400, ErrorCode.ParseError, 'Request body is not valid JSON'] };
   }
+}
 
-  const output = {
-    pattern: args.pattern,
-    matching_tables: [...matchingTables],
-    matching_columns: matchingColumns
+// Helper: Restart a session's idle timer; abandoned sessions are closed and their transactions rolled back
+function touchHttpSession(session) {
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => {
+    console.error(`HTTP session ${session.id} idle for ${HTTP_SESSION_IDLE_TIMEOUT / 1000}s, closing`);
+    session.transport.close().catch(() => {});
+  }, HTTP_SESSION_IDLE_TIMEOUT);
+  session.timer.unref();
+}
+
+function registerHttpSession(id, transport) {
+  const session = { id, transport, timer: null };
+  httpSessions.set(id, session);
+  touchHttpSession(session);
+}
+
+async function endHttpSession(id) {
+  const session = httpSessions.get(id);
+  if (!session) return;
+  httpSessions.delete(id);
+  clearTimeout(session.timer);
+  await closeSession(id);
+}
+
+// Helper: Look up a session, but only one created by the same kind of transport
+function httpSessionFor(id, Transport) {
+  const session = id && httpSessions.get(id);
+  return session && session.transport instanceof Transport ? session : null;
+}
+
+async function handleStreamableRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  const session = httpSessionFor(sessionId, StreamableHTTPServerTransport);
+  if (sessionId && !session) return sendHttpError(res, 404, -32001, 'Session not found');
+
+  let body;
+  if (req.method === 'POST') {
+    const parsed = await readJsonBody(req, res);
+    if (parsed.error) return sendHttpError(res, ...parsed.error);
+    body = parsed.body;
+  }
+
+  if (session) {
+    touchHttpSession(session);
+    return await session.transport.handleRequest(req, res, body);
+  }
+
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    return sendHttpError(res, 400, ErrorCode.InvalidRequest, 'No valid session; start one with an initialize request');
+  }
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: id => registerHttpSession(id, transport)
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) endHttpSession(transport.sessionId).catch(() => {});
   };
+  await createServer().connect(transport);
+  await transport.handleRequest(req, res, body);
+}
 
-  return {
-    content: [{
-      type: "text",
-      text: JSON.stringify(output, null, 2)
-    }]
+async function handleSseStream(req, res) {
+  const transport = new SSEServerTransport('/messages', res);
+  registerHttpSession(transport.sessionId, transport);
+  transport.onclose = () => {
+    endHttpSession(transport.sessionId).catch(() => {});
   };
+  await createServer().connect(transport);
+}
+
+async function handleSseMessage(req, res, url) {
+  const session = httpSessionFor(url.searchParams.get('sessionId'), SSEServerTransport);
+  if (!session) return sendHttpError(res, 404, -32001, 'Session not found');
+
+  const parsed = await readJsonBody(req, res);
+  if (parsed.error) return sendHttpError(res, ...parsed.error);
+  touchHttpSession(session);
+  await session.transport.handlePostMessage(req, res, parsed.body);
+}
+
+async function handleHttpRequest(req, res, authToken) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!isAllowedHost(req, authToken)) {
+    return sendHttpError(res, 403, ErrorCode.InvalidRequest, `Host ${req.headers.host} not allowed`);
+  }
+  if (url.pathname === '/health' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ status: 'ok', sessions: httpSessions.size }));
+  }
+  if (!isAuthorized(req, authToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendHttpError(res, 401, ErrorCode.InvalidRequest, 'Missing or invalid bearer token');
+  }
+
+  if (url.pathname === '/mcp' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return await handleStreamableRequest(req, res);
+  }
+  if (url.pathname === '/sse' && req.method === 'GET') return await handleSseStream(req, res);
+  if (url.pathname === '/messages' && req.method === 'POST') return await handleSseMessage(req, res, url);
+  sendHttpError(res, 404, ErrorCode.MethodNotFound, `No MCP endpoint at ${req.method} ${url.pathname}`);
+}
+
+async function startHttpServer({ host, port, authToken }) {
+  const httpServer = http.createServer((req, res) => {
+    handleHttpRequest(req, res, authToken).catch(error => {
+      console.error('HTTP request failed:', error);
+      if (!res.headersSent) sendHttpError(res, 500, ErrorCode.InternalError, 'Internal server error');
+      else res.end();
+    });
+  });
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  return httpServer;
 }
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+let httpServer = null;
 console.error("neon-pg MCP v1.7.0");
+if (TRANSPORT.transport === 'http') {
+  httpServer = await startHttpServer(TRANSPORT);
+  const { address, port } = httpServer.address();
+  const base = `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+  console.error(`Listening on ${base}/mcp (SSE fallback: ${base}/sse)`);
+  if (!TRANSPORT.authToken) console.error('NEON_PG_AUTH_TOKEN not set: accepting unauthenticated loopback connections');
+} else {
+  await createServer().connect(new StdioServerTransport());
+}
+if (CONNECTIONS.size === 1) {
+  console.error(`Write policy: ${describeWritePolicy()}`);
+} else {
+  for (const connection of CONNECTIONS.values()) {
+    console.error(`Connection ${connection.name}${connection === DEFAULT_CONNECTION ? ' (default)' : ''}: write policy ${describeWritePolicy(connection.policy)}`);
+  }
+}
+console.error(`Audit log: ${AUDIT.path ? `${AUDIT.path} (parameters: ${AUDIT.params})` : 'off'}`);
+
+// Stop accepting HTTP sessions and close open ones, then close cursors and roll back open transactions
+// so their clients are released before the pool drains
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  if (httpServer) {
+    const closed = new Promise(resolve => httpServer.close(resolve));
+    await Promise.allSettled([...httpSessions.values()].map(session => session.transport.close()));
+    // Every response has ended with its session; drop the kept-alive sockets so close() can finish
+    httpServer.closeAllConnections();
+    await closed;
+  }
+  await Promise.allSettled([...cursors.values()].map(cursor => closeCursor(cursor)));
+  await Promise.allSettled([...transactions.values()].map(tx => endTransaction(tx, 'ROLLBACK')));
+  await Promise.allSettled([...CONNECTIONS.values()].map(connection => connection.pool.end()));
+  await auditWrites;
+  process.exit(0);
+}
 
-process.on('SIGINT', async () => { await pool.end(); process.exit(0); });
-process.on('SIGTERM', async () => { await pool.end(); process.exit(0); });
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);